@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// SecurePass - Command Line Interface
+// Reads and updates an encrypted backup file (Settings → Backup & Restore) with the same core as the web app.
+// Output is meant for scripts: values go to stdout on their own line, messages to stderr.
+//
+// Usage: node bin/securepass.js --help
+
+const fs = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { VaultCore, DEFAULT_GENERATOR_OPTIONS } = require('../core.js');
+
+const USAGE = `Usage: securepass <command> [options]
+
+Commands:
+  list <vault> [search]    List entries (--json)
+  get <vault> <entry>      Print a field of an entry found by id, name or URL
+                           (--field password|username|totp|url|json|<field name>)
+  add <vault> <name>       Add a login (--username, --password, --url, --totp, --folder);
+                           without --password one is generated and printed
+  generate                 Print a new password (--length, --no-uppercase, --no-lowercase, --no-numbers,
+                           --no-symbols, --exclude-similar) or passphrase (--passphrase, --words, --separator)
+  export <vault>           Print every entry in plaintext (--format csv|json)
+
+The vault is a SecurePass backup file. Its passphrase is read from SECUREPASS_PASSPHRASE
+or prompted for.`;
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    json: { type: 'boolean' },
+    field: { type: 'string', short: 'f' },
+    format: { type: 'string' },
+    username: { type: 'string', short: 'u' },
+    password: { type: 'string', short: 'p' },
+    url: { type: 'string' },
+    totp: { type: 'string' },
+    folder: { type: 'string' },
+    length: { type: 'string', short: 'l' },
+    'no-uppercase': { type: 'boolean' },
+    'no-lowercase': { type: 'boolean' },
+    'no-numbers': { type: 'boolean' },
+    'no-symbols': { type: 'boolean' },
+    'exclude-similar': { type: 'boolean' },
+    passphrase: { type: 'boolean' },
+    words: { type: 'string' },
+    separator: { type: 'string' }
+};
+
+class CliError extends Error {}
+
+// Asks on the terminal without echoing what is typed
+function promptHidden(question, io) {
+    return new Promise((resolve, reject) => {
+        const prompt = readline.createInterface({ input: io.stdin, output: io.stderr, terminal: true });
+        prompt._writeToOutput = () => {};
+        io.stderr.write(question);
+        prompt.question('', answer => {
+            prompt.close();
+            io.stderr.write('\n');
+            resolve(answer);
+        });
+        prompt.on('SIGINT', () => {
+            prompt.close();
+            reject(new CliError('Cancelled'));
+        });
+    });
+}
+
+async function readPassphrase(io) {
+    if (io.env.SECUREPASS_PASSPHRASE) return io.env.SECUREPASS_PASSPHRASE;
+    if (!io.stdin.isTTY) {
+        throw new CliError('Set SECUREPASS_PASSPHRASE, or run in a terminal to be asked for the passphrase');
+    }
+    return promptHidden('Backup passphrase: ', io);
+}
+
+async function openVault(file, io) {
+    if (!file) throw new CliError('Name the vault file');
+
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    const vault = new VaultCore();
+    const passphrase = await readPassphrase(io);
+    const result = await vault.openBackup(text, passphrase);
+    if (!result.success) throw new CliError(result.message);
+    return { vault, passphrase };
+}
+
+// Same write-then-rename as the sync server, so an interrupted save leaves the old file intact
+async function saveVault(file, vault, passphrase) {
+    const backup = await vault.createBackup(passphrase);
+    const temporary = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    await fs.writeFile(temporary, JSON.stringify(backup, null, 2), { mode: 0o600 });
+    await fs.rename(temporary, file);
+}
+
+// An id, an exact name, a page URL the entry's rules match, or else part of a name; it has to pick one entry
+function findEntries(vault, query) {
+    const byId = vault.passwords.filter(entry => String(entry.id) === query);
+    if (byId.length) return byId;
+
+    const lower = query.toLowerCase();
+    const byName = vault.passwords.filter(entry => entry.website.toLowerCase() === lower);
+    if (byName.length) return byName;
+
+    const address = /[./]/.test(query) && vault.normalizeUrl(query);
+    const byUrl = address ? vault.findMatchingEntries(vault.passwords, address).map(match => match.entry) : [];
+    if (byUrl.length) return byUrl;
+
+    return vault.passwords.filter(entry => entry.website.toLowerCase().includes(lower));
+}
+
+async function readField(vault, entry, field) {
+    const plain = await vault.decryptEntry(entry);
+    switch (field) {
+        case 'password':
+            return plain.password || '';
+        case 'username':
+            return plain.username || '';
+        case 'url':
+            return vault.getEntryUrl(entry) || '';
+        case 'totp':
+            if (!plain.totp) throw new CliError(`${entry.website} has no authenticator key`);
+            return vault.generateTotp(plain.totp);
+        case 'json':
+            return JSON.stringify(plain, null, 2);
+    }
+
+    const typeField = vault.getItemType(entry).fields.find(item => item.key === field || item.label.toLowerCase() === field.toLowerCase());
+    if (typeField) return plain.fields[typeField.key] || '';
+    const customField = plain.customFields.find(item => item.name.toLowerCase() === field.toLowerCase());
+    if (customField) return customField.value;
+    throw new CliError(`${entry.website} has no field "${field}"`);
+}
+
+function readGeneratorOptions(values) {
+    const options = {
+        ...DEFAULT_GENERATOR_OPTIONS,
+        mode: values.passphrase ? 'passphrase' : 'password',
+        classes: { ...DEFAULT_GENERATOR_OPTIONS.classes },
+        excludeSimilar: Boolean(values['exclude-similar'])
+    };
+    for (const name of Object.keys(options.classes)) {
+        if (values[`no-${name}`]) options.classes[name] = false;
+    }
+    if (values.length !== undefined) options.length = Number(values.length);
+    if (values.words !== undefined) options.words = Number(values.words);
+    if (values.separator !== undefined) options.separator = values.separator;
+
+    if (!Number.isInteger(options.length) || options.length < 4 || options.length > 128) {
+        throw new CliError('--length must be a whole number from 4 to 128');
+    }
+    if (!Number.isInteger(options.words) || options.words < 3 || options.words > 20) {
+        throw new CliError('--words must be a whole number from 3 to 20');
+    }
+    return options;
+}
+
+function generate(vault, values) {
+    const result = vault.generateSecret(readGeneratorOptions(values));
+    if (!result.success) throw new CliError(result.message);
+    return result.value;
+}
+
+const commands = {
+    async list(values, [file, search = ''], io) {
+        const { vault } = await openVault(file, io);
+        const entries = vault.passwords
+            .filter(entry => entry.website.toLowerCase().includes(search.toLowerCase()))
+            .map(entry => ({
+                id: entry.id,
+                type: entry.type || 'login',
+                name: entry.website,
+                username: entry.username || '',
+                url: vault.getEntryUrl(entry) || '',
+                folder: entry.folder || '',
+                tags: entry.tags || []
+            }));
+
+        if (values.json) {
+            io.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+        } else {
+            entries.forEach(entry => {
+                io.stdout.write(`${[entry.id, entry.type, entry.name, entry.username, entry.url].join('\t')}\n`);
+            });
+        }
+    },
+
+    async get(values, [file, query], io) {
+        if (!query) throw new CliError('Name the entry to get');
+        const { vault } = await openVault(file, io);
+        const matches = findEntries(vault, query);
+        if (matches.length === 0) throw new CliError(`No entry matches "${query}"`);
+        if (matches.length > 1) {
+            const names = matches.map(entry => `  ${entry.id}\t${entry.website}\t${entry.username || ''}`).join('\n');
+            throw new CliError(`"${query}" matches ${matches.length} entries; use the id:\n${names}`);
+        }
+        io.stdout.write(`${await readField(vault, matches[0], values.field || 'password')}\n`);
+    },
+
+    async add(values, [file, name], io) {
+        if (!name || !name.trim()) throw new CliError('Name the entry to add');
+        const { vault, passphrase } = await openVault(file, io);
+
+        const totp = vault.parseTotp(values.totp);
+        if (!totp.success) throw new CliError(totp.message);
+        let urls;
+        if (values.url !== undefined) {
+            const url = vault.normalizeUrl(values.url);
+            if (!url) throw new CliError(`${values.url} is not a web address`);
+            urls = [{ url, match: 'domain' }];
+        }
+
+        const password = values.password ?? generate(vault, values);
+        const entry = await vault.createEntry(name.trim(), values.username || '', password, totp.totp, {
+            type: 'login',
+            urls,
+            folder: values.folder ? values.folder.split('/').map(part => part.trim()).filter(Boolean).join('/') : ''
+        });
+        vault.passwords.push(entry);
+        await saveVault(file, vault, passphrase);
+
+        io.stderr.write(`Added ${entry.website} (id ${entry.id})\n`);
+        if (values.password === undefined) {
+            io.stdout.write(`${password}\n`);
+        }
+    },
+
+    async generate(values, args, io) {
+        io.stdout.write(`${generate(new VaultCore(), values)}\n`);
+    },
+
+    async export(values, [file], io) {
+        const format = values.format || 'csv';
+        if (!['csv', 'json'].includes(format)) throw new CliError('--format must be csv or json');
+        const { vault } = await openVault(file, io);
+
+        if (format === 'csv') {
+            io.stdout.write(`${await vault.buildCsvExport()}\n`);
+            return;
+        }
+        const entries = [];
+        for (const entry of vault.passwords) {
+            entries.push(await vault.decryptEntry(entry));
+        }
+        io.stdout.write(`${JSON.stringify({ entries }, null, 2)}\n`);
+    }
+};
+
+// Resolves with the exit code; io defaults to the process streams
+async function run(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, env: process.env }) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (!command) {
+        io.stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+    if (!Object.hasOwn(commands, command)) {
+        io.stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    try {
+        await commands[command](parsed.values, args, io);
+        return 0;
+    } catch (error) {
+        if (!(error instanceof CliError)) throw error;
+        io.stderr.write(`securepass: ${error.message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
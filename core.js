@@ -0,0 +1,2091 @@
+// SecurePass - Vault Core
+// Accounts, encryption, entries, sharing, sync, import and the security report, with no DOM access: the web
+// app's SecurePass class extends VaultCore, and under Node the CLI and the test suite load this file as a module.
+
+// wordlist.js is loaded ahead of this file in the browser; Node has to require it
+const PASSPHRASE_WORDS = typeof PASSPHRASE_WORDLIST === 'undefined'
+    ? require('./wordlist.js').PASSPHRASE_WORDLIST
+    : PASSPHRASE_WORDLIST;
+
+// PBKDF2 work factors for the stored master-password hash and the key that wraps each user's vault key
+const PASSWORD_HASH_ITERATIONS = 600000;
+const VAULT_KDF_ITERATIONS = 600000;
+
+// Backup files: bump the version whenever the encrypted payload shape changes
+const BACKUP_FORMAT = 'securepass-backup';
+const BACKUP_VERSION = 1;
+const MIN_BACKUP_PASSPHRASE_LENGTH = 12;
+
+// TOTP (RFC 6238) defaults and the HMAC algorithms authenticator URIs may ask for
+const TOTP_DEFAULTS = { algorithm: 'SHA1', digits: 6, period: 30 };
+const TOTP_ALGORITHMS = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' };
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Vault item types. Logins and Wi-Fi keep their secret in entry.password (so history, audit and breach
+// checks apply); hidden fields are encrypted at rest and masked until revealed
+const ITEM_TYPES = {
+    login: {
+        label: 'Login', noun: 'Password', icon: 'fa-globe', titleLabel: 'Website/App',
+        username: true, password: true, totp: true, urls: true, fields: []
+    },
+    note: {
+        label: 'Secure Note', noun: 'Note', icon: 'fa-sticky-note', titleLabel: 'Title',
+        fields: [{ key: 'notes', label: 'Note', input: 'textarea', hidden: true }]
+    },
+    card: {
+        label: 'Payment Card', noun: 'Card', icon: 'fa-credit-card', titleLabel: 'Card Name',
+        fields: [
+            { key: 'cardholder', label: 'Cardholder Name' },
+            { key: 'number', label: 'Card Number', hidden: true },
+            { key: 'expiry', label: 'Expiry', placeholder: 'MM/YY' },
+            { key: 'cvv', label: 'Security Code', hidden: true }
+        ]
+    },
+    identity: {
+        label: 'Identity', noun: 'Identity', icon: 'fa-id-card', titleLabel: 'Title',
+        fields: [
+            { key: 'fullName', label: 'Full Name' },
+            { key: 'email', label: 'Email' },
+            { key: 'phone', label: 'Phone' },
+            { key: 'address', label: 'Address', input: 'textarea' }
+        ]
+    },
+    wifi: {
+        label: 'Wi-Fi', noun: 'Wi-Fi Network', icon: 'fa-wifi', titleLabel: 'Network Name (SSID)',
+        password: true,
+        fields: [{ key: 'security', label: 'Security', input: 'select', options: ['WPA2', 'WPA3', 'WPA', 'WEP', 'None'] }]
+    }
+};
+const CUSTOM_FIELD_TYPES = { text: 'Text', hidden: 'Hidden', url: 'URL' };
+
+// How an entry URL is compared with a page address, most specific first
+const URL_MATCH_RULES = {
+    prefix: 'Starts with',
+    regex: 'Regular expression',
+    host: 'Exact host',
+    domain: 'Base domain',
+    never: 'Never'
+};
+// Second-level suffixes under which sites register, so "shop.example.co.uk" has base domain "example.co.uk".
+// Not the full public suffix list: any other domain is taken to be its last two labels
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+    'co.kr', 'co.in', 'co.za', 'co.il', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.tr', 'com.sg', 'com.hk'
+]);
+
+// Sign-in 2FA: backup codes skip look-alike characters so they can be read off paper
+const TWO_FACTOR_ISSUER = 'SecurePass';
+const TWO_FACTOR_SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// Recovery keys: 160 random bits, printed as Base32 in dash-separated groups of four
+const RECOVERY_KEY_BYTES = 20;
+
+// Sign-in throttling: a few free attempts per email, then the wait doubles with every further failure
+const LOCKOUT_FREE_ATTEMPTS = 3;
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+
+// Entry sharing: one RSA-OAEP key pair per account, and the access levels an owner can grant
+const SHARE_KEY_ALGORITHM = { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+const SHARE_PERMISSIONS = { read: 'Read-only', edit: 'Can edit' };
+
+// Password generator character sets; look-alikes are dropped when excludeSimilar is on
+const CHARACTER_CLASSES = {
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    numbers: '0123456789',
+    symbols: '!@#$%^&*()-_=+[]{};:,.?'
+};
+const SIMILAR_CHARACTERS = /[Il1O0o|]/g;
+const DEFAULT_GENERATOR_OPTIONS = {
+    mode: 'password', // 'password' | 'passphrase'
+    length: 20,
+    classes: { uppercase: true, lowercase: true, numbers: true, symbols: true },
+    minimums: { uppercase: 1, lowercase: 1, numbers: 1, symbols: 1 },
+    excludeSimilar: false,
+    words: 5,
+    separator: '-',
+    capitalization: 'first' // 'none' | 'first' | 'random'
+};
+
+// Strength estimation: passwords seen in breach top-lists and predictable character runs
+const COMMON_PASSWORDS = new Set([
+    '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111', '000000', '123123',
+    '654321', '666666', '121212', '112233', '987654321', 'password', 'password1', 'password123',
+    'passw0rd', 'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+    '1qaz2wsx', 'qazwsx', 'abc123', 'abcd1234', 'iloveyou', 'admin', 'admin123', 'welcome',
+    'welcome1', 'letmein', 'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess',
+    'master', 'shadow', 'superman', 'batman', 'trustno1', 'starwars', 'whatever', 'freedom',
+    'hello', 'hello123', 'login', 'secret', 'charlie', 'michael', 'jennifer', 'jordan', 'hunter',
+    'hunter2', 'ashley', 'jessica', 'pokemon', 'computer', 'internet', 'summer', 'winter',
+    'changeme', 'default', 'guest', 'root', 'test', 'test123', 'pass', 'pass123', 'access',
+    'flower', 'cheese', 'killer', 'soccer', 'hockey', 'ranger', 'buster', 'thomas', 'tigger',
+    'robert', 'daniel', 'andrew', 'joshua', 'maggie', 'ginger', 'banana', 'cookie', 'chocolate',
+    'loveme', 'lovely', 'nothing', 'zaq12wsx', 'mustang', 'matrix', 'q1w2e3r4', 'aa123456'
+]);
+const CHARACTER_SEQUENCES = [
+    'abcdefghijklmnopqrstuvwxyz',
+    '01234567890',
+    'qwertyuiop',
+    'asdfghjkl',
+    'zxcvbnm'
+];
+const DICTIONARY_WORDS = new Set([...PASSPHRASE_WORDS, ...COMMON_PASSWORDS]);
+
+// Per-user preferences, stored on the user record
+const DEFAULT_SETTINGS = {
+    autoLockMinutes: 5, // 0 disables the idle lock
+    lockOnHide: true,
+    generator: DEFAULT_GENERATOR_OPTIONS,
+    staleMonths: 12,
+    clipboardClearSeconds: 30, // 0 leaves copied secrets on the clipboard
+    trashRetentionDays: 30, // 0 keeps deleted entries until the trash is emptied
+    favicons: false, // Off by default: each icon download tells the icon service one of your domains
+    faviconEndpoint: 'https://icons.duckduckgo.com/ip3/{domain}.ico',
+    breachEndpoint: 'https://api.pwnedpasswords.com/range/' // Pwned Passwords range API; the hash prefix is appended
+};
+
+// Security report: per-entry score deductions for each kind of finding
+const AUDIT_PENALTIES = {
+    breached: 60,
+    weak: 40,
+    reused: 30,
+    stale: 15,
+    missingUsername: 5
+};
+
+class VaultCore {
+    // storage: a VaultStorage (see storage.js); only the account methods use it
+    constructor(storage = null) {
+        this.storage = storage;
+        this.currentUser = null;
+        this.passwords = [];
+        this.vaultKey = null; // AES-GCM key, only ever held in memory
+        this.pendingSignIn = null; // Password-verified sign-in waiting for its second factor
+        this.users = []; // Simulated backend, loaded once storage is ready
+        this.privateKey = null; // Sharing key, imported from the user record once the vault is open
+        this.pendingTwoFactor = null; // Secret being enrolled, until the first code confirms it
+    }
+
+    // Accounts (simulated backend: user records live in storage next to their vaults)
+    loadUsers() {
+        return this.storage.get('users', []);
+    }
+
+    saveUsers() {
+        this.storage.set('users', this.users);
+    }
+
+    // Emails are matched trimmed and case-insensitively, the same form lockouts are keyed by
+    normalizeEmail(email) {
+        return email.trim().toLowerCase();
+    }
+
+    findUserByEmail(email) {
+        const key = this.normalizeEmail(email);
+        return this.users.find(user => this.normalizeEmail(user.email) === key);
+    }
+
+    async createUser(name, email, password) {
+        // Check if user already exists
+        const existingUser = this.findUserByEmail(email);
+        if (existingUser) {
+            return { success: false, message: 'User with this email already exists' };
+        }
+
+        // Create new user; the recovery key is handed back once for the emergency kit and never stored
+        const vaultKey = await this.generateVaultKey();
+        const recoveryKey = this.generateRecoveryKey();
+        const newUser = {
+            id: Date.now(),
+            name,
+            email,
+            password: await this.hashPassword(password),
+            vault: await this.wrapVaultKey(vaultKey, password),
+            recovery: await this.createRecovery(vaultKey, recoveryKey),
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.push(newUser);
+        this.saveUsers();
+        return { success: true, message: 'Account created successfully!', recoveryKey };
+    }
+
+    // source is 'sign-in' or 'unlock', for the activity log
+    async authenticateUser(email, password, source = 'sign-in') {
+        email = this.normalizeEmail(email);
+        const remaining = this.getLockoutRemaining(email);
+        if (remaining > 0) {
+            return { success: false, message: `Too many failed attempts. Try again in ${this.formatLockout(remaining)}.` };
+        }
+
+        const user = this.findUserByEmail(email);
+        if (!user) {
+            return this.rejectAttempt(email, null, source, 'Account not found. Please create an account first.');
+        }
+
+        if (!(await this.verifyPassword(password, user.password))) {
+            return this.rejectAttempt(email, user, source, 'Invalid password');
+        }
+
+        // Upgrade legacy Base64 records now that we know the password
+        if (typeof user.password === 'string') {
+            user.password = await this.hashPassword(password);
+            this.saveUsers();
+        }
+
+        // Accounts created before vault encryption get their key on first sign-in
+        if (!user.vault) {
+            user.vault = await this.createVaultKey(password);
+            this.saveUsers();
+        }
+
+        const vaultKey = await this.unwrapVaultKey(password, user.vault);
+
+        // Accounts created before sharing get their key pair once the vault key is at hand
+        if (!user.keyPair) {
+            user.keyPair = await this.createKeyPair(vaultKey);
+            this.saveUsers();
+        }
+
+        // The vault key is held back until the second factor checks out
+        if (user.twoFactor) {
+            this.pendingSignIn = { userId: user.id, vaultKey, source };
+            return { success: false, requiresTwoFactor: true, message: 'Enter your authentication code' };
+        }
+
+        this.clearFailedAttempts(email);
+        this.vaultKey = vaultKey;
+        return { success: true, user: { id: user.id, name: user.name, email: user.email } };
+    }
+
+    // Second sign-in step: a current authenticator code or an unused backup code
+    async verifySecondFactor(code) {
+        const pending = this.pendingSignIn;
+        const user = pending && this.users.find(u => u.id === pending.userId);
+        if (!user || !user.twoFactor) {
+            this.pendingSignIn = null;
+            return { success: false, message: 'Sign-in expired. Please enter your password again.' };
+        }
+
+        const remaining = this.getLockoutRemaining(user.email);
+        if (remaining > 0) {
+            return { success: false, message: `Too many failed attempts. Try again in ${this.formatLockout(remaining)}.` };
+        }
+
+        const value = code.trim().toLowerCase().replace(/[\s-]/g, '');
+        if (/^\d+$/.test(value)) {
+            const config = JSON.parse(await this.decryptPassword(user.twoFactor.totp, pending.vaultKey));
+            const counter = await this.verifyTotpCode(config, value, user.twoFactor.lastCounter);
+            if (counter === null) {
+                return this.rejectAttempt(user.email, user, pending.source, 'Invalid authentication code');
+            }
+            // A code is only good once, even inside its time window
+            user.twoFactor.lastCounter = counter;
+        } else {
+            const index = user.twoFactor.backupCodes.indexOf(await this.hashBackupCode(value));
+            if (index === -1) {
+                return this.rejectAttempt(user.email, user, pending.source, 'Invalid backup code');
+            }
+            user.twoFactor.backupCodes.splice(index, 1);
+        }
+        this.saveUsers();
+
+        this.clearFailedAttempts(user.email);
+        this.vaultKey = pending.vaultKey;
+        this.pendingSignIn = null;
+        return {
+            success: true,
+            user: { id: user.id, name: user.name, email: user.email },
+            usedBackupCode: !/^\d+$/.test(value),
+            backupCodesLeft: user.twoFactor.backupCodes.length
+        };
+    }
+
+    // Master password change; syncQueued means the sync server still has to learn the new password
+    async changePassword(currentPassword, newPassword) {
+        if (!this.currentUser || !this.currentUser.id) {
+            return { success: false, message: 'User not authenticated' };
+        }
+
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        // Verify current password
+        if (!(await this.verifyPassword(currentPassword, user.password))) {
+            return { success: false, message: 'Current password is incorrect' };
+        }
+
+        // Validate new password
+        if (!this.meetsPasswordRequirements(newPassword)) {
+            return { success: false, message: 'New password does not meet requirements' };
+        }
+
+        // Re-wrap the vault key so existing entries stay readable
+        const vaultKey = await this.unwrapVaultKey(currentPassword, user.vault, true);
+        user.vault = await this.wrapVaultKey(vaultKey, newPassword);
+
+        // Update password
+        user.password = await this.hashPassword(newPassword);
+        this.saveUsers();
+        this.logActivity(user.id, 'password-change');
+
+        const syncQueued = await this.queueSyncAccountUpdate(user, newPassword);
+        return { success: true, message: 'Password changed successfully!', syncQueued };
+    }
+
+    // Brute-Force Protection (per email, persisted so a reload doesn't reset the count)
+    loadLockouts() {
+        return this.storage.get('lockouts', {});
+    }
+
+    saveLockouts(lockouts) {
+        this.storage.set('lockouts', lockouts);
+    }
+
+    getLockoutRemaining(email) {
+        const record = this.loadLockouts()[this.normalizeEmail(email)];
+        return record ? Math.max(0, record.lockedUntil - Date.now()) : 0;
+    }
+
+    // Returns the lockout this failure triggered, in seconds (0 while still within the free attempts)
+    recordFailedAttempt(email) {
+        const lockouts = this.loadLockouts();
+        const key = this.normalizeEmail(email);
+        const record = lockouts[key] || { failures: 0, lockedUntil: 0 };
+
+        record.failures++;
+        const excess = record.failures - LOCKOUT_FREE_ATTEMPTS;
+        const seconds = excess > 0 ? Math.min(LOCKOUT_BASE_SECONDS * 2 ** (excess - 1), LOCKOUT_MAX_SECONDS) : 0;
+        record.lockedUntil = seconds ? Date.now() + seconds * 1000 : 0;
+
+        lockouts[key] = record;
+        this.saveLockouts(lockouts);
+        return seconds;
+    }
+
+    clearFailedAttempts(email) {
+        const lockouts = this.loadLockouts();
+        delete lockouts[this.normalizeEmail(email)];
+        this.saveLockouts(lockouts);
+    }
+
+    formatLockout(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} seconds`;
+        const minutes = Math.ceil(seconds / 60);
+        return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+    }
+
+    rejectAttempt(email, user, source, message) {
+        const seconds = this.recordFailedAttempt(email);
+        if (user) {
+            this.logActivity(user.id, `${source}-failed`, message);
+            if (seconds) {
+                this.logActivity(user.id, 'lockout', `Locked for ${this.formatLockout(seconds * 1000)}`);
+            }
+        }
+
+        return {
+            success: false,
+            message: seconds ? `${message}. Too many failed attempts, try again in ${this.formatLockout(seconds * 1000)}.` : message
+        };
+    }
+
+    // Activity Log (append-only: events are never edited or removed)
+    loadActivity(userId) {
+        return this.storage.get(`activity_${userId}`, []);
+    }
+
+    logActivity(userId, type, details = '') {
+        const log = this.loadActivity(userId);
+        log.push({ type, details, at: new Date().toISOString() });
+        this.storage.set(`activity_${userId}`, log);
+    }
+
+    // Master password hashing (salted PBKDF2, parameters stored with each record)
+    async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_HASH_ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const hash = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256
+        );
+
+        return {
+            algorithm: 'PBKDF2-SHA256',
+            iterations,
+            salt: this.bytesToBase64(salt),
+            hash: this.bytesToBase64(new Uint8Array(hash))
+        };
+    }
+
+    async verifyPassword(password, hashedPassword) {
+        // Records written by older builds are a reversible Base64 string
+        if (typeof hashedPassword === 'string') {
+            const encoder = new TextEncoder();
+            let legacyHash;
+            try {
+                legacyHash = btoa(password + 'salt');
+            } catch (error) {
+                return false; // btoa() rejects non-Latin1 input, which legacy records can't contain
+            }
+            return this.constantTimeEqual(encoder.encode(legacyHash), encoder.encode(hashedPassword));
+        }
+
+        if (hashedPassword.algorithm !== 'PBKDF2-SHA256') {
+            return false;
+        }
+
+        const candidate = await this.hashPassword(
+            password, this.base64ToBytes(hashedPassword.salt), hashedPassword.iterations
+        );
+        return this.constantTimeEqual(this.base64ToBytes(candidate.hash), this.base64ToBytes(hashedPassword.hash));
+    }
+
+    constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+
+    // Master password rules; each flag is shown as a checklist item while typing
+    checkPasswordRequirements(password) {
+        return {
+            length: password.length >= 8,
+            uppercase: /[A-Z]/.test(password),
+            lowercase: /[a-z]/.test(password),
+            number: /[0-9]/.test(password),
+            special: /[!@#$%^&*]/.test(password)
+        };
+    }
+
+    meetsPasswordRequirements(password) {
+        return Object.values(this.checkPasswordRequirements(password)).every(Boolean);
+    }
+
+    // Settings (per user, stored on the user record)
+    getSettings() {
+        const user = this.users.find(u => u.id === this.currentUser?.id);
+        return { ...DEFAULT_SETTINGS, ...(user?.settings || {}) };
+    }
+
+    updateSettings(changes) {
+        const user = this.users.find(u => u.id === this.currentUser?.id);
+        if (!user) return;
+
+        user.settings = { ...user.settings, ...changes };
+        this.saveUsers();
+    }
+
+    // Entries
+    async createEntry(website, username, password, totp = null, details = {}) {
+        const now = new Date().toISOString();
+        const type = details.type || 'login';
+        return {
+            id: this.generateEntryId(),
+            type,
+            website,
+            username,
+            password: password ? await this.encryptPassword(password) : null,
+            totp: totp ? await this.encryptPassword(JSON.stringify(totp)) : null,
+            fields: await this.encryptFields(type, details.fields),
+            customFields: await this.encryptCustomFields(details.customFields),
+            urls: details.urls || this.getEntryUrls({ website }),
+            folder: details.folder || '',
+            tags: details.tags || [],
+            favorite: Boolean(details.favorite),
+            history: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    // Entries saved before item types existed are logins
+    getItemType(entry) {
+        return ITEM_TYPES[entry.type] || ITEM_TYPES.login;
+    }
+
+    // Hidden type fields are stored as AES-GCM ciphertext, the rest as plain strings
+    async encryptFields(type, fields = {}) {
+        const encrypted = {};
+        for (const field of (ITEM_TYPES[type] || ITEM_TYPES.login).fields) {
+            const value = fields[field.key] || '';
+            encrypted[field.key] = field.hidden && value ? await this.encryptPassword(value) : value;
+        }
+        return encrypted;
+    }
+
+    async decryptFields(type, fields = {}) {
+        const decrypted = {};
+        for (const field of (ITEM_TYPES[type] || ITEM_TYPES.login).fields) {
+            const value = fields[field.key] || '';
+            decrypted[field.key] = field.hidden && value ? await this.decryptPassword(value) : value;
+        }
+        return decrypted;
+    }
+
+    async encryptCustomFields(customFields = []) {
+        const encrypted = [];
+        for (const field of customFields) {
+            encrypted.push({
+                ...field,
+                value: field.type === 'hidden' && field.value ? await this.encryptPassword(field.value) : field.value
+            });
+        }
+        return encrypted;
+    }
+
+    async decryptCustomFields(customFields = []) {
+        const decrypted = [];
+        for (const field of customFields) {
+            decrypted.push({
+                ...field,
+                value: field.type === 'hidden' && field.value ? await this.decryptPassword(field.value) : field.value
+            });
+        }
+        return decrypted;
+    }
+
+    // Date.now() alone collides when several entries are created in the same millisecond
+    generateEntryId() {
+        const maxId = this.passwords.reduce((max, pwd) => Math.max(max, pwd.id), 0);
+        return Math.max(Date.now(), maxId + 1);
+    }
+
+    // Keep the replaced password, newest first, so rotations can be undone
+    async changeEntryPassword(entry, password, changedAt) {
+        if (await this.decryptPassword(entry.password) === password) {
+            return false;
+        }
+
+        entry.history = [{ password: entry.password, changedAt }, ...(entry.history || [])];
+        entry.password = await this.encryptPassword(password);
+        delete entry.breach; // The old breach result no longer applies
+        return true;
+    }
+
+    // Website URLs
+    // Entries keep a list of { url, match } rules (see URL_MATCH_RULES); url is normalized, or the pattern for regex
+    // "example.com/login" is read as https; null for anything that isn't an http(s) address of a named host
+    normalizeUrl(text) {
+        const value = String(text || '').trim();
+        if (!value || /\s/.test(value)) return null;
+        try {
+            const url = new URL(/^[a-z][\w+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+            if (!['http:', 'https:'].includes(url.protocol)) return null;
+            if (!url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+            url.hash = '';
+            return url.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Entries saved before URL rules existed match the base domain of their website, when it names one
+    getEntryUrls(entry) {
+        if (entry.urls) return entry.urls;
+        const url = this.normalizeUrl(entry.website);
+        return url ? [{ url, match: 'domain' }] : [];
+    }
+
+    // The address the launch action opens: the first URL that isn't a pattern
+    getEntryUrl(entry) {
+        return this.getEntryUrls(entry).find(rule => rule.match !== 'regex')?.url || null;
+    }
+
+    // Hostname of the entry's first URL, without "www."; '' for entries that don't name a site
+    getEntryDomain(entry) {
+        const url = this.getEntryUrl(entry);
+        return url ? new URL(url).hostname.replace(/^www\./, '') : '';
+    }
+
+    // The pattern itself when it compiles, otherwise null
+    validRegex(pattern) {
+        try {
+            new RegExp(pattern, 'i');
+            return pattern;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getBaseDomain(hostname) {
+        if (!hostname.includes('.') || /^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return hostname;
+        const labels = hostname.split('.');
+        return labels.slice(MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? -3 : -2).join('.');
+    }
+
+    // page: URL object of a normalized address
+    matchesUrlRule(rule, page) {
+        switch (rule.match) {
+            case 'never':
+                return false;
+            case 'regex':
+                try {
+                    return new RegExp(rule.url, 'i').test(page.href);
+                } catch (error) {
+                    return false;
+                }
+            case 'prefix':
+                return page.href.startsWith(rule.url);
+            case 'host':
+                return new URL(rule.url).host === page.host;
+            default:
+                return this.getBaseDomain(new URL(rule.url).hostname) === this.getBaseDomain(page.hostname);
+        }
+    }
+
+    // Logins with a rule matching the address (a normalized URL), most specific rule first, then favorites
+    findMatchingEntries(entries, address) {
+        const page = new URL(address);
+        const specificity = Object.keys(URL_MATCH_RULES);
+        return entries
+            .filter(entry => this.getItemType(entry) === ITEM_TYPES.login)
+            .map(entry => ({ entry, rule: this.getEntryUrls(entry).find(rule => this.matchesUrlRule(rule, page)) }))
+            .filter(match => match.rule)
+            .sort((a, b) => specificity.indexOf(a.rule.match) - specificity.indexOf(b.rule.match) ||
+                Number(Boolean(b.entry.favorite)) - Number(Boolean(a.entry.favorite)));
+    }
+
+    // Password Strength
+    // Pattern-aware entropy estimate: predictable runs are charged a few bits instead of full per-character entropy
+    estimatePasswordStrength(password) {
+        if (!password) {
+            return { entropy: 0, ...this.describeStrength(0), warnings: ['Password is empty'] };
+        }
+
+        const lower = password.toLowerCase();
+        const unleeted = lower
+            .replace(/[@4]/g, 'a').replace(/3/g, 'e').replace(/[1!]/g, 'i')
+            .replace(/0/g, 'o').replace(/[$5]/g, 's').replace(/7/g, 't');
+
+        if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(unleeted)) {
+            return { entropy: 5, ...this.describeStrength(5), warnings: ['Appears in common password lists'] };
+        }
+
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/[0-9]/.test(password)) pool += 10;
+        if (/[^a-zA-Z0-9]/.test(password)) pool += 33;
+        const bitsPerChar = Math.log2(pool);
+
+        const covered = new Array(password.length).fill(false);
+        const warnings = new Set();
+        let entropy = 0;
+
+        const claim = (start, end, bits, warning) => {
+            for (let i = start; i < end; i++) {
+                if (covered[i]) return false;
+            }
+            covered.fill(true, start, end);
+            entropy += bits;
+            warnings.add(warning);
+            return true;
+        };
+
+        // Dictionary words, longest first
+        for (let size = Math.min(unleeted.length, 12); size >= 4; size--) {
+            for (let start = 0; start + size <= unleeted.length; start++) {
+                if (DICTIONARY_WORDS.has(unleeted.slice(start, start + size))) {
+                    claim(start, start + size, Math.log2(DICTIONARY_WORDS.size) + 1, 'Contains a dictionary word');
+                }
+            }
+        }
+
+        // Years such as 1987 or 2024
+        for (const match of password.matchAll(/(19|20)\d{2}/g)) {
+            claim(match.index, match.index + 4, Math.log2(200), 'Contains a year');
+        }
+
+        // Repeated characters (aaa) and alphabet, digit or keyboard sequences (abc, 321, qwe)
+        let start = 0;
+        for (let i = 1; i <= lower.length; i++) {
+            const repeats = i < lower.length && lower[i] === lower[start];
+            if (!repeats) {
+                if (i - start >= 3) {
+                    claim(start, i, bitsPerChar + Math.log2(i - start), 'Contains repeated characters');
+                }
+                start = i;
+            }
+        }
+
+        start = 0;
+        for (let i = 1; i <= lower.length; i++) {
+            const pair = i < lower.length && lower[i - 1] + lower[i];
+            const continues = pair && CHARACTER_SEQUENCES.some(seq => {
+                const reversed = [...seq].reverse().join('');
+                return seq.includes(pair) || reversed.includes(pair);
+            });
+            if (!continues) {
+                if (i - start >= 3) {
+                    claim(start, i, bitsPerChar + Math.log2(i - start) + 1, 'Contains a predictable sequence');
+                }
+                start = i;
+            }
+        }
+
+        entropy += covered.filter(isCovered => !isCovered).length * bitsPerChar;
+        if (password.length < 10) {
+            warnings.add('Shorter than 10 characters');
+        }
+
+        return { entropy, ...this.describeStrength(entropy), warnings: [...warnings] };
+    }
+
+    describeStrength(entropy) {
+        if (entropy < 40) return { label: 'Weak', level: 'weak' };
+        if (entropy < 60) return { label: 'Fair', level: 'fair' };
+        if (entropy < 80) return { label: 'Strong', level: 'strong' };
+        return { label: 'Very Strong', level: 'very-strong' };
+    }
+
+    // Security Report
+    // When the password itself last changed (edits to other fields don't count)
+    getPasswordChangedAt(entry) {
+        return entry.history?.[0]?.changedAt || entry.createdAt;
+    }
+
+    // Reads with the key it started with, so locking mid-audit doesn't throw; callers drop the result then
+    async auditVault() {
+        const vaultKey = this.vaultKey;
+        const staleMonths = this.getSettings().staleMonths;
+        const staleBefore = new Date();
+        staleBefore.setMonth(staleBefore.getMonth() - staleMonths);
+
+        const report = { breached: [], weak: [], reused: [], stale: [], missingUsername: [], score: null };
+        const byPassword = new Map();
+        // Notes, cards and identities have no password to audit
+        const audited = this.passwords.filter(entry => entry.password);
+        const deductions = new Map(audited.map(entry => [entry.id, 0]));
+        const flag = (type, finding) => {
+            report[type].push(finding);
+            deductions.set(finding.entry.id, deductions.get(finding.entry.id) + AUDIT_PENALTIES[type]);
+        };
+
+        for (const entry of audited) {
+            const password = await this.decryptPassword(entry.password, vaultKey);
+
+            if (entry.breach?.count) {
+                flag('breached', { entry, count: entry.breach.count });
+            }
+
+            const strength = this.estimatePasswordStrength(password);
+            if (strength.level === 'weak') {
+                flag('weak', { entry, strength });
+            }
+
+            if (!byPassword.has(password)) byPassword.set(password, []);
+            byPassword.get(password).push(entry);
+
+            const changedAt = new Date(this.getPasswordChangedAt(entry));
+            if (changedAt < staleBefore) {
+                flag('stale', { entry, changedAt });
+            }
+
+            if (this.getItemType(entry).username && (!entry.username || !entry.username.trim())) {
+                flag('missingUsername', { entry });
+            }
+        }
+
+        byPassword.forEach(entries => {
+            if (entries.length > 1) {
+                entries.forEach(entry => flag('reused', { entry, count: entries.length }));
+            }
+        });
+
+        if (audited.length > 0) {
+            const total = [...deductions.values()].reduce((sum, deduction) => sum + Math.max(0, 100 - deduction), 0);
+            report.score = Math.round(total / audited.length);
+        }
+
+        return report;
+    }
+
+    // TOTP (RFC 6238), for entries and for the sign-in second factor
+    base32Decode(input) {
+        const clean = input.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid Base32 character "${char}"`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    base32Encode(bytes) {
+        let output = '';
+        let bits = 0;
+        let value = 0;
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    // Accepts a bare Base32 secret or an otpauth://totp/ URI
+    parseTotp(input) {
+        const value = (input || '').trim();
+        if (!value) {
+            return { success: true, totp: null };
+        }
+
+        let config = { ...TOTP_DEFAULTS, secret: value };
+        if (/^otpauth:/i.test(value)) {
+            let uri;
+            try {
+                uri = new URL(value);
+            } catch (error) {
+                return { success: false, message: 'Invalid otpauth:// URI' };
+            }
+            if (uri.host.toLowerCase() !== 'totp') {
+                return { success: false, message: 'Only time-based (TOTP) codes are supported' };
+            }
+
+            const params = uri.searchParams;
+            config = {
+                secret: params.get('secret') || '',
+                algorithm: (params.get('algorithm') || TOTP_DEFAULTS.algorithm).toUpperCase(),
+                digits: Number(params.get('digits') || TOTP_DEFAULTS.digits),
+                period: Number(params.get('period') || TOTP_DEFAULTS.period)
+            };
+        }
+
+        config.secret = config.secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+        if (!TOTP_ALGORITHMS[config.algorithm]) {
+            return { success: false, message: `Unsupported TOTP algorithm ${config.algorithm}` };
+        }
+        if (config.digits !== 6 && config.digits !== 8) {
+            return { success: false, message: 'TOTP codes must be 6 or 8 digits' };
+        }
+        if (!Number.isInteger(config.period) || config.period <= 0) {
+            return { success: false, message: 'TOTP period must be a positive number of seconds' };
+        }
+        try {
+            if (this.base32Decode(config.secret).length === 0) {
+                return { success: false, message: 'TOTP secret is empty' };
+            }
+        } catch (error) {
+            return { success: false, message: `Invalid TOTP secret: ${error.message}` };
+        }
+
+        return { success: true, totp: config };
+    }
+
+    buildOtpauthUri(config, entry) {
+        const label = encodeURIComponent(entry.username ? `${entry.website}:${entry.username}` : entry.website);
+        const params = new URLSearchParams({
+            secret: config.secret,
+            issuer: entry.website,
+            algorithm: config.algorithm,
+            digits: String(config.digits),
+            period: String(config.period)
+        });
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    async generateTotp(config, time = Date.now()) {
+        const counter = Math.floor(time / 1000 / config.period);
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+
+        const key = await crypto.subtle.importKey(
+            'raw', this.base32Decode(config.secret), { name: 'HMAC', hash: TOTP_ALGORITHMS[config.algorithm] }, false, ['sign']
+        );
+        const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const offset = mac[mac.length - 1] & 0x0f;
+        const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+        return String(binary % 10 ** config.digits).padStart(config.digits, '0');
+    }
+
+    // Accepts the previous, current and next time step to allow for clock drift; returns the matched counter
+    async verifyTotpCode(config, code, lastCounter = -1, time = Date.now()) {
+        const current = Math.floor(time / 1000 / config.period);
+        const encoder = new TextEncoder();
+
+        for (const counter of [current, current - 1, current + 1]) {
+            if (counter <= lastCounter) continue;
+            const expected = await this.generateTotp(config, counter * config.period * 1000);
+            if (this.constantTimeEqual(encoder.encode(expected), encoder.encode(code))) {
+                return counter;
+            }
+        }
+        return null;
+    }
+
+    generateBackupCodes() {
+        return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+            const chars = Array.from({ length: 10 }, () => this.randomChar(BACKUP_CODE_ALPHABET)).join('');
+            return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+        });
+    }
+
+    // Backup codes are random enough that a plain SHA-256 is all the storage needs
+    hashBackupCode(code) {
+        return this.digestHex('SHA-256', code.toLowerCase().replace(/[\s-]/g, ''));
+    }
+
+    // Two-Factor Authentication (for signing in to SecurePass itself)
+    startTwoFactorEnrollment() {
+        const config = {
+            ...TOTP_DEFAULTS,
+            secret: this.base32Encode(crypto.getRandomValues(new Uint8Array(TWO_FACTOR_SECRET_BYTES)))
+        };
+        this.pendingTwoFactor = config;
+        return {
+            secret: config.secret,
+            uri: this.buildOtpauthUri(config, { website: TWO_FACTOR_ISSUER, username: this.currentUser.email })
+        };
+    }
+
+    async confirmTwoFactorEnrollment(code) {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        const config = this.pendingTwoFactor;
+        if (!user || !config) {
+            return { success: false, message: 'Start two-factor setup again' };
+        }
+
+        const counter = await this.verifyTotpCode(config, code.trim().replace(/\s/g, ''));
+        if (counter === null) {
+            return { success: false, message: 'That code did not match. Check your device clock and try again.' };
+        }
+
+        const backupCodes = this.generateBackupCodes();
+        user.twoFactor = {
+            totp: await this.encryptPassword(JSON.stringify(config)),
+            lastCounter: counter,
+            backupCodes: await Promise.all(backupCodes.map(backupCode => this.hashBackupCode(backupCode))),
+            enabledAt: new Date().toISOString()
+        };
+        this.pendingTwoFactor = null;
+        this.saveUsers();
+        this.logActivity(user.id, 'two-factor-enabled');
+        return { success: true, message: 'Two-factor authentication enabled!', backupCodes };
+    }
+
+    async disableTwoFactor(password) {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user || !(await this.verifyPassword(password, user.password))) {
+            return { success: false, message: 'Master password is incorrect' };
+        }
+
+        delete user.twoFactor;
+        this.saveUsers();
+        this.logActivity(user.id, 'two-factor-disabled');
+        return { success: true, message: 'Two-factor authentication disabled' };
+    }
+
+    async regenerateBackupCodes(password) {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user || !(await this.verifyPassword(password, user.password))) {
+            return { success: false, message: 'Master password is incorrect' };
+        }
+        if (!user.twoFactor) {
+            return { success: false, message: 'Two-factor authentication is not enabled' };
+        }
+
+        // Replacing the list invalidates every code issued before
+        const backupCodes = this.generateBackupCodes();
+        user.twoFactor.backupCodes = await Promise.all(backupCodes.map(code => this.hashBackupCode(code)));
+        this.saveUsers();
+        this.logActivity(user.id, 'backup-codes-regenerated');
+        return { success: true, message: 'New backup codes generated', backupCodes };
+    }
+
+    // Recovery Keys
+    // A recovery key wraps the vault key on its own, exactly like the master password does, so either one
+    // can open the vault and set a new password
+    generateRecoveryKey() {
+        const key = this.base32Encode(crypto.getRandomValues(new Uint8Array(RECOVERY_KEY_BYTES)));
+        return key.match(/.{1,4}/g).join('-');
+    }
+
+    // Typed keys may differ from the printed one in case, spacing, dashes and look-alike digits
+    normalizeRecoveryKey(key) {
+        return key.toUpperCase()
+            .replace(/0/g, 'O')
+            .replace(/1/g, 'I')
+            .replace(/8/g, 'B')
+            .replace(/[^A-Z2-7]/g, '');
+    }
+
+    async createRecovery(vaultKey, recoveryKey) {
+        return {
+            vault: await this.wrapVaultKey(vaultKey, this.normalizeRecoveryKey(recoveryKey)),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async recoverAccount(email, recoveryKey, newPassword) {
+        email = this.normalizeEmail(email);
+        const remaining = this.getLockoutRemaining(email);
+        if (remaining > 0) {
+            return { success: false, message: `Too many failed attempts. Try again in ${this.formatLockout(remaining)}.` };
+        }
+
+        const user = this.findUserByEmail(email);
+        if (!user) {
+            return this.rejectAttempt(email, null, 'recovery', 'Account not found');
+        }
+        if (!user.recovery) {
+            return { success: false, message: 'This account has no emergency kit, so its master password cannot be reset' };
+        }
+        if (!this.meetsPasswordRequirements(newPassword)) {
+            return { success: false, message: 'New password needs 8+ characters with upper and lower case letters, a number and a symbol' };
+        }
+
+        let vaultKey;
+        try {
+            vaultKey = await this.unwrapVaultKey(this.normalizeRecoveryKey(recoveryKey), user.recovery.vault, true);
+        } catch (error) {
+            return this.rejectAttempt(email, user, 'recovery', 'Invalid recovery key');
+        }
+
+        user.vault = await this.wrapVaultKey(vaultKey, newPassword);
+        user.password = await this.hashPassword(newPassword);
+        this.saveUsers();
+        await this.queueSyncAccountUpdate(user, newPassword, vaultKey);
+        this.clearFailedAttempts(email);
+        this.logActivity(user.id, 'recovery');
+        return { success: true, message: 'Master password reset. Sign in with your new password.' };
+    }
+
+    // Replacing the wrapped copy is what retires the previous key
+    async regenerateRecoveryKit(password) {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!user || !(await this.verifyPassword(password, user.password))) {
+            return { success: false, message: 'Master password is incorrect' };
+        }
+
+        const vaultKey = await this.unwrapVaultKey(password, user.vault, true);
+        const recoveryKey = this.generateRecoveryKey();
+        user.recovery = await this.createRecovery(vaultKey, recoveryKey);
+        this.saveUsers();
+        this.logActivity(user.id, 'recovery-kit-created');
+        return { success: true, message: 'New emergency kit created', recoveryKey };
+    }
+
+    // Sharing key pair: the private half is encrypted under the vault key
+    async createKeyPair(vaultKey) {
+        const pair = await crypto.subtle.generateKey(SHARE_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+        const privateKey = await crypto.subtle.exportKey('jwk', pair.privateKey);
+        return {
+            algorithm: 'RSA-OAEP-SHA256',
+            publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            privateKey: await this.encryptPassword(JSON.stringify(privateKey), vaultKey)
+        };
+    }
+
+    // Each account has an RSA-OAEP key pair; the private half is kept encrypted under the vault key, so like
+    // every other secret it only opens with the master password. A share is a copy of one entry encrypted
+    // with its own AES key, which is wrapped to the owner's and the recipient's public keys.
+    async loadPrivateKey() {
+        if (!this.privateKey) {
+            const user = this.users.find(u => u.id === this.currentUser.id);
+            const jwk = JSON.parse(await this.decryptPassword(user.keyPair.privateKey));
+            this.privateKey = await crypto.subtle.importKey('jwk', jwk, SHARE_KEY_ALGORITHM, false, ['decrypt']);
+        }
+        return this.privateKey;
+    }
+
+    loadShares() {
+        return this.storage.get('shares', []);
+    }
+
+    saveShares(shares) {
+        this.storage.set('shares', shares);
+    }
+
+    async wrapShareKey(shareKey, publicKey) {
+        const key = await crypto.subtle.importKey('jwk', publicKey, SHARE_KEY_ALGORITHM, false, ['encrypt']);
+        const raw = await crypto.subtle.exportKey('raw', shareKey);
+        return this.bytesToBase64(new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, key, raw)));
+    }
+
+    async openShareKey(share) {
+        const raw = await crypto.subtle.decrypt(
+            { name: 'RSA-OAEP' },
+            await this.loadPrivateKey(),
+            this.base64ToBytes(share.keys[this.currentUser.id])
+        );
+        return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    // What a share carries: the item itself, not the owner's folders, tags or password history
+    toSharePayload(entry) {
+        const { type, website, username, password, totp, fields, customFields, updatedAt } = entry;
+        return { type, website, username, password, totp, fields, customFields, urls: this.getEntryUrls(entry), updatedAt };
+    }
+
+    async createShare(entryId, email, permission) {
+        const entry = this.passwords.find(pwd => pwd.id === entryId);
+        if (!entry) {
+            return { success: false, message: 'Entry not found' };
+        }
+
+        const owner = this.users.find(u => u.id === this.currentUser.id);
+        const recipient = this.findUserByEmail(email);
+        if (!recipient) {
+            return { success: false, message: 'No SecurePass account uses that email' };
+        }
+        if (recipient.id === owner.id) {
+            return { success: false, message: 'You already own this entry' };
+        }
+        if (!recipient.keyPair) {
+            return { success: false, message: `${recipient.email} needs to sign in once before entries can be shared with them` };
+        }
+
+        const shares = this.loadShares();
+        if (shares.some(share => share.entryId === entryId && share.ownerId === owner.id && share.recipientId === recipient.id)) {
+            return { success: false, message: `Already shared with ${recipient.email}` };
+        }
+
+        const shareKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const now = new Date().toISOString();
+        shares.push({
+            id: Math.max(Date.now(), ...shares.map(share => share.id + 1)),
+            entryId,
+            ownerId: owner.id,
+            recipientId: recipient.id,
+            permission: SHARE_PERMISSIONS[permission] ? permission : 'read',
+            keys: {
+                [owner.id]: await this.wrapShareKey(shareKey, owner.keyPair.publicKey),
+                [recipient.id]: await this.wrapShareKey(shareKey, recipient.keyPair.publicKey)
+            },
+            data: await this.encryptPassword(JSON.stringify(this.toSharePayload(await this.decryptEntry(entry))), shareKey),
+            entryUpdatedAt: entry.updatedAt,
+            updatedBy: owner.id,
+            createdAt: now,
+            updatedAt: now
+        });
+        this.saveShares(shares);
+        this.logActivity(owner.id, 'share', `${entry.website} with ${recipient.email}`);
+        return { success: true, message: `Shared with ${recipient.email}` };
+    }
+
+    // Owner side: bring edits made by recipients with edit access into the vault entries; returns the entries changed.
+    // Every account on this browser can write the shares record, so a read-only share that claims an edit is put
+    // back to the owner's copy rather than merged. An edit made to an older version than the owner's entry is
+    // kept as a separate entry, the way a sync conflict can keep both sides.
+    async mergeShareEdits() {
+        const shares = this.loadShares();
+        const changed = [];
+        let sharesChanged = false;
+
+        const restoreOwnerCopy = async (share, entry) => {
+            const payload = this.toSharePayload(await this.decryptEntry(entry));
+            share.data = await this.encryptPassword(JSON.stringify(payload), await this.openShareKey(share));
+            share.entryUpdatedAt = entry.updatedAt;
+            share.updatedBy = share.ownerId;
+            share.updatedAt = new Date().toISOString();
+            sharesChanged = true;
+        };
+
+        for (const share of shares.filter(item => item.ownerId === this.currentUser.id && item.updatedBy !== item.ownerId)) {
+            const entry = this.passwords.find(pwd => pwd.id === share.entryId);
+            if (!entry) continue;
+
+            if (share.permission !== 'edit') {
+                await restoreOwnerCopy(share, entry);
+                continue;
+            }
+
+            const payload = JSON.parse(await this.decryptPassword(share.data, await this.openShareKey(share)));
+            const editor = this.users.find(u => u.id === share.updatedBy);
+
+            // The owner changed the entry after the version the recipient edited
+            if (share.entryUpdatedAt !== entry.updatedAt) {
+                const copy = await this.createEntry(payload.website, payload.username, payload.password, payload.totp, {
+                    type: entry.type,
+                    fields: payload.fields,
+                    customFields: payload.customFields,
+                    urls: payload.urls,
+                    folder: entry.folder,
+                    tags: entry.tags
+                });
+                this.passwords.push(copy);
+                await restoreOwnerCopy(share, entry);
+                this.logActivity(this.currentUser.id, 'edit', `${entry.website} (conflicting edit by ${editor ? editor.email : 'a recipient'} kept as a copy)`);
+                changed.push(copy);
+                continue;
+            }
+
+            if (entry.password && payload.password) {
+                await this.changeEntryPassword(entry, payload.password, share.updatedAt);
+            }
+            entry.website = payload.website;
+            entry.username = payload.username;
+            entry.totp = payload.totp ? await this.encryptPassword(JSON.stringify(payload.totp)) : null;
+            entry.fields = await this.encryptFields(entry.type, payload.fields);
+            entry.customFields = await this.encryptCustomFields(payload.customFields);
+            if (payload.urls) {
+                entry.urls = payload.urls;
+            }
+            entry.updatedAt = share.updatedAt;
+
+            share.entryUpdatedAt = entry.updatedAt;
+            share.updatedBy = share.ownerId;
+            this.logActivity(this.currentUser.id, 'edit', `${entry.website} (edited by ${editor ? editor.email : 'a recipient'})`);
+            changed.push(entry);
+            sharesChanged = true;
+        }
+
+        if (sharesChanged) {
+            this.saveShares(shares);
+        }
+        return changed;
+    }
+
+    // Sync Credentials
+    // The server identifies accounts by a hash of the email and checks a token derived from the master
+    // password, so the same credentials reach the same vault from any device
+    async deriveSyncCredentials(email, password) {
+        const label = `securepass-sync:${email.trim().toLowerCase()}`;
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: new TextEncoder().encode(label), iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return {
+            accountId: (await this.digestHex('SHA-256', label)).toLowerCase(),
+            token: [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+        };
+    }
+
+    // The sync token is derived from the master password, so the server has to learn the new one.
+    // Returns whether an update was queued
+    async queueSyncAccountUpdate(user, password, vaultKey = this.vaultKey) {
+        const state = this.storage.get(`sync_${user.id}`);
+        if (!state) return false;
+
+        const { token } = await this.deriveSyncCredentials(user.email, password);
+        state.pendingAccount = { vault: user.vault, token: await this.encryptPassword(token, vaultKey) };
+        this.storage.set(`sync_${user.id}`, state);
+        return true;
+    }
+
+    // Sync (end-to-end encrypted: entries are sealed with the vault key before they leave this device)
+    // Per-user state: { server, accountId, token, cursor, base, lastSyncedAt, pendingAccount? }. base maps each
+    // entry id to the server revision it was last synced at and a hash of its content then (null once deleted)
+    loadSyncState() {
+        return this.storage.get(`sync_${this.currentUser.id}`);
+    }
+
+    saveSyncState(state) {
+        this.storage.set(`sync_${this.currentUser.id}`, state);
+    }
+
+    // connection: { server, accountId, token } with the token in plain text
+    async syncRequest(connection, method, path = '', body) {
+        const response = await fetch(`${connection.server}/api/accounts/${connection.accountId}${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${connection.token}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.error || `Sync server responded with ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    async encryptSyncEntry(entry) {
+        return this.encryptPassword(JSON.stringify(entry));
+    }
+
+    async decryptSyncEntry(data) {
+        return JSON.parse(await this.decryptPassword(data));
+    }
+
+    async hashSyncEntry(entry) {
+        return entry ? this.digestHex('SHA-256', JSON.stringify(entry)) : null;
+    }
+
+    // One round: pull remote revisions, then push local edits; an entry changed on both sides becomes a conflict.
+    // Resolves with { conflicts, changed }, or null when the vault was locked, signed out or disconnected
+    // meanwhile, in which case nothing more is written or sent
+    async syncVault() {
+        const userId = this.currentUser.id;
+        const vaultKey = this.vaultKey;
+        const state = this.loadSyncState();
+        // Unlocking again brings a new key object, so a lock and unlock mid-request also counts as closed
+        const stillOpen = () => this.vaultKey === vaultKey && this.currentUser?.id === userId && this.loadSyncState() === state;
+        const connection = { server: state.server, accountId: state.accountId, token: await this.decryptPassword(state.token) };
+
+        if (state.pendingAccount) {
+            const token = await this.decryptPassword(state.pendingAccount.token);
+            await this.syncRequest(connection, 'PUT', '', { account: { vault: state.pendingAccount.vault }, token });
+            if (!stillOpen()) return null;
+            connection.token = token;
+            state.token = state.pendingAccount.token;
+            delete state.pendingAccount;
+            this.saveSyncState(state);
+        }
+
+        const pulled = await this.syncRequest(connection, 'GET', `/entries?since=${state.cursor}`);
+        if (!stillOpen()) return null;
+        const applied = await this.applyRemoteEntries(state, pulled.entries, stillOpen);
+        if (!applied) return null;
+        const { conflicts, changed } = applied;
+        state.cursor = pulled.seq;
+
+        // Locking swaps this.passwords for an empty array; the snapshot keeps that from reading as deletions
+        const changes = await this.collectLocalChanges(state, new Set(conflicts.map(conflict => conflict.id)), this.passwords, stillOpen);
+        if (!changes || !stillOpen()) return null;
+        if (changes.length > 0) {
+            const pushed = await this.syncRequest(connection, 'POST', '/entries', {
+                changes: changes.map(({ hash, ...change }) => change)
+            });
+            if (!stillOpen()) return null;
+
+            for (const result of pushed.results) {
+                const change = changes.find(item => item.id === result.id);
+                if (result.status === 'applied') {
+                    state.base[result.id] = { revision: result.revision, hash: change.hash };
+                } else if (result.status === 'conflict') {
+                    const remote = result.entry && !result.entry.deleted ? await this.decryptSyncEntry(result.entry.data) : null;
+                    const local = this.passwords.find(pwd => pwd.id === result.id) || null;
+                    conflicts.push(await this.buildSyncConflict(result.id, result.entry ? result.entry.revision : 0, local, remote));
+                }
+            }
+            if (!stillOpen()) return null;
+        }
+
+        state.lastSyncedAt = new Date().toISOString();
+        this.saveSyncState(state);
+        return { conflicts, changed };
+    }
+
+    // Resolves with null as soon as stillOpen() fails, before anything lands in this.passwords
+    async applyRemoteEntries(state, remoteEntries, stillOpen = () => true) {
+        const conflicts = [];
+        let changed = false;
+
+        for (const remote of remoteEntries) {
+            const base = state.base[remote.id];
+            if (base && base.revision >= remote.revision) continue; // Our own push coming back
+
+            const local = this.passwords.find(pwd => pwd.id === remote.id) || null;
+            const entry = remote.deleted ? null : await this.decryptSyncEntry(remote.data);
+            const remoteHash = await this.hashSyncEntry(entry);
+            const localHash = await this.hashSyncEntry(local);
+            if (!stillOpen()) return null;
+
+            // Untouched here since the last sync, or already identical
+            if (localHash === (base ? base.hash : null) || localHash === remoteHash) {
+                changed = this.replaceSyncedEntry(remote.id, entry) || changed;
+                state.base[remote.id] = { revision: remote.revision, hash: remoteHash };
+            } else {
+                conflicts.push(await this.buildSyncConflict(remote.id, remote.revision, local, entry));
+            }
+        }
+        return { conflicts, changed };
+    }
+
+    // Entries whose content differs from the last synced hash, plus synced entries deleted here. entries is
+    // the vault as it was when the sync started; resolves with null once stillOpen() fails, so a vault
+    // emptied by locking never turns into deletions
+    async collectLocalChanges(state, skipIds, entries = this.passwords, stillOpen = () => true) {
+        const changes = [];
+        for (const entry of entries) {
+            if (skipIds.has(entry.id)) continue;
+            const base = state.base[entry.id];
+            const hash = await this.hashSyncEntry(entry);
+            if (!stillOpen()) return null;
+            if (base && base.hash === hash) continue;
+            changes.push({
+                id: entry.id,
+                baseRevision: base ? base.revision : 0,
+                deleted: false,
+                data: await this.encryptSyncEntry(entry),
+                hash
+            });
+        }
+        if (!stillOpen()) return null;
+
+        const present = new Set(entries.map(entry => String(entry.id)));
+        Object.entries(state.base).forEach(([id, base]) => {
+            if (base.hash !== null && !present.has(id) && !skipIds.has(Number(id))) {
+                changes.push({ id: Number(id), baseRevision: base.revision, deleted: true, data: null, hash: null });
+            }
+        });
+        return changes;
+    }
+
+    // entry: the new content, or null to remove. Returns whether anything changed
+    replaceSyncedEntry(id, entry) {
+        const index = this.passwords.findIndex(pwd => pwd.id === id);
+        if (!entry) {
+            if (index === -1) return false;
+            this.passwords.splice(index, 1);
+        } else if (index === -1) {
+            this.passwords.push(entry);
+        } else {
+            this.passwords[index] = entry;
+        }
+        return true;
+    }
+
+    // local/remote: encrypted entries, or null when that side deleted it
+    async buildSyncConflict(id, revision, local, remote) {
+        return {
+            id,
+            revision,
+            local,
+            remote,
+            differences: local && remote ? await this.describeEntryDifferences(local, remote) : []
+        };
+    }
+
+    // Labels of the fields that differ, compared on decrypted values since ciphertexts never match
+    async describeEntryDifferences(a, b) {
+        const [left, right] = [await this.decryptEntry(a), await this.decryptEntry(b)];
+        const type = this.getItemType(left);
+        const checks = [
+            ['Type', entry => entry.type],
+            [type.titleLabel, entry => entry.website],
+            ['Username', entry => entry.username],
+            ['Password', entry => entry.password],
+            ['One-time code', entry => JSON.stringify(entry.totp)],
+            ...type.fields.map(field => [field.label, entry => entry.fields[field.key]]),
+            ['Custom fields', entry => JSON.stringify(entry.customFields)],
+            ['URLs', entry => JSON.stringify(this.getEntryUrls(entry))],
+            ['Folder', entry => entry.folder],
+            ['Tags', entry => entry.tags.join(', ')],
+            ['Favorite', entry => entry.favorite]
+        ];
+        return checks.filter(([, read]) => read(left) !== read(right)).map(([label]) => label);
+    }
+
+    // Password Generation
+    // Uniform integer in [0, max) from crypto.getRandomValues; rejection sampling avoids modulo bias
+    randomInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+        return buffer[0] % max;
+    }
+
+    randomChar(charset) {
+        return charset.charAt(this.randomInt(charset.length));
+    }
+
+    generateSecret(options = DEFAULT_GENERATOR_OPTIONS) {
+        return options.mode === 'passphrase'
+            ? this.generatePassphrase(options)
+            : this.generatePasswordString(options);
+    }
+
+    generatePasswordString(options) {
+        const classes = Object.keys(CHARACTER_CLASSES)
+            .filter(name => options.classes[name])
+            .map(name => ({
+                chars: options.excludeSimilar
+                    ? CHARACTER_CLASSES[name].replace(SIMILAR_CHARACTERS, '')
+                    : CHARACTER_CLASSES[name],
+                min: Math.max(0, options.minimums[name] || 0)
+            }));
+
+        if (classes.length === 0) {
+            return { success: false, message: 'Select at least one character type' };
+        }
+
+        const required = classes.reduce((sum, charClass) => sum + charClass.min, 0);
+        if (required > options.length) {
+            return { success: false, message: 'Minimum counts exceed the password length' };
+        }
+
+        // Satisfy each class minimum first, fill from the combined pool, then shuffle
+        const pool = classes.map(charClass => charClass.chars).join('');
+        const chars = [];
+        classes.forEach(charClass => {
+            for (let i = 0; i < charClass.min; i++) {
+                chars.push(this.randomChar(charClass.chars));
+            }
+        });
+        while (chars.length < options.length) {
+            chars.push(this.randomChar(pool));
+        }
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
+        }
+
+        return { success: true, value: chars.join(''), entropy: options.length * Math.log2(pool.length) };
+    }
+
+    generatePassphrase(options) {
+        const words = [];
+        for (let i = 0; i < options.words; i++) {
+            let word = PASSPHRASE_WORDS[this.randomInt(PASSPHRASE_WORDS.length)];
+            const capitalize = options.capitalization === 'first'
+                || (options.capitalization === 'random' && this.randomInt(2) === 1);
+            if (capitalize) {
+                word = word.charAt(0).toUpperCase() + word.slice(1);
+            }
+            words.push(word);
+        }
+
+        // Random capitalization adds one bit per word
+        const bitsPerWord = Math.log2(PASSPHRASE_WORDS.length) + (options.capitalization === 'random' ? 1 : 0);
+        return { success: true, value: words.join(options.separator), entropy: options.words * bitsPerWord };
+    }
+
+    // Encryption (AES-GCM under a per-user vault key wrapped by the master password)
+    async deriveWrappingKey(password, salt, iterations, usages = ['wrapKey', 'unwrapKey']) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            usages
+        );
+    }
+
+    generateVaultKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    async createVaultKey(password) {
+        return this.wrapVaultKey(await this.generateVaultKey(), password);
+    }
+
+    async wrapVaultKey(vaultKey, password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.deriveWrappingKey(password, salt, VAULT_KDF_ITERATIONS);
+        const wrapped = await crypto.subtle.wrapKey('raw', vaultKey, wrappingKey, { name: 'AES-GCM', iv });
+
+        return {
+            kdf: 'PBKDF2-SHA256',
+            iterations: VAULT_KDF_ITERATIONS,
+            salt: this.bytesToBase64(salt),
+            iv: this.bytesToBase64(iv),
+            key: this.bytesToBase64(new Uint8Array(wrapped))
+        };
+    }
+
+    // Only password changes and recovery need an extractable key, to re-wrap it
+    async unwrapVaultKey(password, vault, extractable = false) {
+        const wrappingKey = await this.deriveWrappingKey(password, this.base64ToBytes(vault.salt), vault.iterations);
+        return crypto.subtle.unwrapKey(
+            'raw',
+            this.base64ToBytes(vault.key),
+            wrappingKey,
+            { name: 'AES-GCM', iv: this.base64ToBytes(vault.iv) },
+            { name: 'AES-GCM', length: 256 },
+            extractable,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // A key is wrapped anew with every salt and IV, so two wrappings are compared by the key inside them
+    async wrapsSameKey(password, vault, otherVault) {
+        const [raw, otherRaw] = await Promise.all([vault, otherVault].map(async item => {
+            const key = await this.unwrapVaultKey(password, item, true);
+            return new Uint8Array(await crypto.subtle.exportKey('raw', key));
+        }));
+        return this.constantTimeEqual(raw, otherRaw);
+    }
+
+    async encryptPassword(password, key = this.vaultKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(password));
+        return { iv: this.bytesToBase64(iv), data: this.bytesToBase64(new Uint8Array(data)) };
+    }
+
+    async decryptPassword(encrypted, key = this.vaultKey) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(encrypted.iv) },
+            key,
+            this.base64ToBytes(encrypted.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    // Plaintext copies of an entry, for backups and exports; never persisted as-is
+    async decryptEntry(entry) {
+        const history = [];
+        for (const version of entry.history || []) {
+            history.push({ ...version, password: await this.decryptPassword(version.password) });
+        }
+        return {
+            ...entry,
+            password: entry.password ? await this.decryptPassword(entry.password) : null,
+            totp: entry.totp ? JSON.parse(await this.decryptPassword(entry.totp)) : null,
+            fields: await this.decryptFields(entry.type, entry.fields),
+            customFields: await this.decryptCustomFields(entry.customFields),
+            history
+        };
+    }
+
+    async encryptEntry(entry) {
+        const history = [];
+        for (const version of entry.history || []) {
+            history.push({ ...version, password: await this.encryptPassword(version.password) });
+        }
+        return {
+            ...entry,
+            password: entry.password ? await this.encryptPassword(entry.password) : null,
+            totp: entry.totp ? await this.encryptPassword(JSON.stringify(entry.totp)) : null,
+            fields: await this.encryptFields(entry.type, entry.fields),
+            customFields: await this.encryptCustomFields(entry.customFields),
+            history
+        };
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    async digestHex(algorithm, text) {
+        const digest = await crypto.subtle.digest(algorithm, new TextEncoder().encode(text));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    // Backups
+    // The header is bound to the ciphertext as AES-GCM additional data, so it can't be altered either
+    backupHeader({ format, version, createdAt, kdf, cipher }) {
+        return new TextEncoder().encode(JSON.stringify({ format, version, createdAt, kdf, cipher }));
+    }
+
+    async createBackup(passphrase) {
+        const entries = [];
+        for (const entry of this.passwords) {
+            entries.push(await this.decryptEntry(entry));
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            kdf: { algorithm: 'PBKDF2-SHA256', iterations: VAULT_KDF_ITERATIONS, salt: this.bytesToBase64(salt) },
+            cipher: { algorithm: 'AES-GCM', iv: this.bytesToBase64(iv) }
+        };
+
+        const key = await this.deriveWrappingKey(passphrase, salt, VAULT_KDF_ITERATIONS, ['encrypt']);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.backupHeader(backup) },
+            key,
+            new TextEncoder().encode(JSON.stringify({ entries }))
+        );
+
+        backup.data = this.bytesToBase64(new Uint8Array(ciphertext));
+        // Detects a truncated or damaged file separately from a wrong passphrase
+        backup.checksum = await this.digestHex('SHA-256', backup.data);
+        return backup;
+    }
+
+    async readBackup(text, passphrase) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            return { success: false, message: 'Backup file is not valid JSON' };
+        }
+
+        if (backup.format !== BACKUP_FORMAT) {
+            return { success: false, message: 'Not a SecurePass backup file' };
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return { success: false, message: 'Backup file has no valid version' };
+        }
+        if (backup.version > BACKUP_VERSION) {
+            return { success: false, message: 'Backup was made by a newer version of SecurePass' };
+        }
+        if (typeof backup.data !== 'string' || await this.digestHex('SHA-256', backup.data) !== backup.checksum) {
+            return { success: false, message: 'Backup file is corrupted (checksum mismatch)' };
+        }
+
+        try {
+            const key = await this.deriveWrappingKey(
+                passphrase, this.base64ToBytes(backup.kdf.salt), backup.kdf.iterations, ['decrypt']
+            );
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToBytes(backup.cipher.iv), additionalData: this.backupHeader(backup) },
+                key,
+                this.base64ToBytes(backup.data)
+            );
+            return { success: true, entries: JSON.parse(new TextDecoder().decode(plaintext)).entries };
+        } catch (error) {
+            return { success: false, message: 'Wrong passphrase, or the backup has been tampered with' };
+        }
+    }
+
+    // Opens a backup file as this object's vault, under a new session-only key; createBackup() writes it back
+    async openBackup(text, passphrase) {
+        const result = await this.readBackup(text, passphrase);
+        if (!result.success) return result;
+
+        this.vaultKey = await this.generateVaultKey();
+        this.passwords = [];
+        for (const entry of result.entries) {
+            this.passwords.push(await this.encryptEntry(entry));
+        }
+        return { success: true, message: `Opened ${this.passwords.length} entries` };
+    }
+
+    // Entries from readBackup(). 'replace' swaps the whole vault; 'merge' adds unknown ids and keeps the newer
+    // copy of known ones. Saving is up to the caller
+    async restoreEntries(entries, mode) {
+        const counts = { added: 0, updated: 0, unchanged: 0 };
+
+        if (mode === 'replace') {
+            const restored = [];
+            for (const entry of entries) {
+                restored.push(await this.encryptEntry(entry));
+            }
+            this.passwords = restored;
+            counts.added = restored.length;
+        } else {
+            for (const entry of entries) {
+                const index = this.passwords.findIndex(pwd => pwd.id === entry.id);
+                if (index === -1) {
+                    this.passwords.push(await this.encryptEntry(entry));
+                    counts.added++;
+                } else if (new Date(entry.updatedAt || entry.createdAt) > new Date(this.passwords[index].updatedAt || this.passwords[index].createdAt)) {
+                    this.passwords[index] = await this.encryptEntry(entry);
+                    counts.updated++;
+                } else {
+                    counts.unchanged++;
+                }
+            }
+        }
+        return counts;
+    }
+
+    // CSV
+    // RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('File ends inside a quoted field');
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Same columns as a Chrome export, so the file can be imported again. The Chrome format only has room
+    // for logins; other item types travel in encrypted backups
+    async buildCsvExport() {
+        const lines = [['name', 'url', 'username', 'password']];
+        for (const entry of this.passwords.filter(pwd => this.getItemType(pwd) === ITEM_TYPES.login)) {
+            lines.push([entry.website, this.getEntryUrl(entry) || '', entry.username, await this.decryptPassword(entry.password)]);
+        }
+        return lines.map(line => line.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+    }
+
+    // Import
+    detectImportFormat(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) return 'keepass';
+        if (trimmed.startsWith('{')) return 'bitwarden';
+
+        const header = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+        if (header.includes('httprealm') || header.includes('formactionorigin')) return 'firefox';
+        if (header.includes('grouping') || header.includes('extra')) return 'lastpass';
+        if (header.includes('url') && header.includes('password')) return 'chrome';
+        return null;
+    }
+
+    // CSV exports: map each format's columns onto the entry fields, reporting rows that don't fit
+    parseCsvExport(text, columns, isSkipped = () => false) {
+        const [header, ...records] = this.parseCsv(text.replace(/^\uFEFF/, ''));
+        const rows = [];
+        const errors = [];
+        if (!header) {
+            return { rows, errors: [{ row: 1, message: 'File is empty' }] };
+        }
+
+        const index = {};
+        const names = header.map(name => name.trim().toLowerCase());
+        Object.entries(columns).forEach(([field, column]) => {
+            index[field] = names.indexOf(column);
+        });
+        if (index.password === -1) {
+            return { rows, errors: [{ row: 1, message: `Missing "${columns.password}" column in header` }] };
+        }
+
+        records.forEach((cells, i) => {
+            const rowNumber = i + 2; // 1-based, after the header row
+            const cell = field => (index[field] >= 0 ? (cells[index[field]] || '').trim() : '');
+
+            if (cells.length !== header.length) {
+                errors.push({ row: rowNumber, message: `Expected ${header.length} columns, found ${cells.length}` });
+                return;
+            }
+            if (isSkipped(cell)) {
+                errors.push({ row: rowNumber, message: 'Not a login, skipped' });
+                return;
+            }
+
+            const record = this.toImportRecord(
+                cell('name'), cell('url'), cell('username'), cells[index.password], cell('totp')
+            );
+            if (record.error) {
+                errors.push({ row: rowNumber, message: record.error });
+            } else {
+                rows.push(record);
+            }
+        });
+
+        return { rows, errors };
+    }
+
+    toImportRecord(name, url, username, password, totp = '') {
+        let website = name;
+        if (!website && url) {
+            try {
+                website = new URL(url).hostname || url;
+            } catch (error) {
+                website = url;
+            }
+        }
+
+        if (!password) return { error: 'Missing password' };
+        if (!website) return { error: 'Missing name and URL' };
+
+        const parsedTotp = this.parseTotp(totp);
+        if (!parsedTotp.success) return { error: parsedTotp.message };
+        const address = this.normalizeUrl(url) || this.normalizeUrl(website);
+        return {
+            website,
+            username: username || '',
+            password,
+            totp: parsedTotp.totp,
+            urls: address ? [{ url: address, match: 'domain' }] : []
+        };
+    }
+
+    parseBitwardenJson(text) {
+        const data = JSON.parse(text);
+        if (data.encrypted) {
+            throw new Error('Encrypted Bitwarden exports are not supported. Export as unencrypted JSON.');
+        }
+        if (!Array.isArray(data.items)) {
+            throw new Error('Missing "items" array');
+        }
+
+        const rows = [];
+        const errors = [];
+        data.items.forEach((item, i) => {
+            const rowNumber = i + 1;
+            if (item.type !== 1 || !item.login) {
+                errors.push({ row: rowNumber, message: `"${item.name || 'Untitled'}" is not a login, skipped` });
+                return;
+            }
+
+            const record = this.toImportRecord(
+                item.name, item.login.uris?.[0]?.uri, item.login.username, item.login.password, item.login.totp
+            );
+            if (record.error) {
+                errors.push({ row: rowNumber, message: record.error });
+            } else {
+                rows.push(record);
+            }
+        });
+        return { rows, errors };
+    }
+
+    // DOMParser comes from the browser, so under Node this format is reported as unreadable
+    parseKeePassXml(text) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('KeePass XML can only be read in the browser');
+        }
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror') || doc.documentElement.nodeName !== 'KeePassFile') {
+            throw new Error('Not a KeePass 2.x XML export');
+        }
+
+        const rows = [];
+        const errors = [];
+        // Entries nested in <History> are old revisions, not separate logins
+        const entries = [...doc.getElementsByTagName('Entry')]
+            .filter(entry => entry.parentElement.nodeName !== 'History');
+
+        entries.forEach((entry, i) => {
+            const fields = {};
+            [...entry.children].filter(child => child.nodeName === 'String').forEach(string => {
+                const key = string.getElementsByTagName('Key')[0]?.textContent;
+                const value = string.getElementsByTagName('Value')[0]?.textContent || '';
+                if (key) fields[key] = value;
+            });
+
+            // KeePassXC keeps authenticator keys in an "otp" field
+            const record = this.toImportRecord(fields.Title, fields.URL, fields.UserName, fields.Password, fields.otp);
+            if (record.error) {
+                errors.push({ row: i + 1, message: `Entry "${fields.Title || 'Untitled'}": ${record.error}` });
+            } else {
+                rows.push(record);
+            }
+        });
+        return { rows, errors };
+    }
+
+    parseImportFile(text, format = 'auto') {
+        const detected = format === 'auto' ? this.detectImportFormat(text) : format;
+
+        try {
+            switch (detected) {
+                case 'chrome':
+                    return this.parseCsvExport(text, { name: 'name', url: 'url', username: 'username', password: 'password' });
+                case 'firefox':
+                    return this.parseCsvExport(text, { url: 'url', username: 'username', password: 'password' });
+                case 'lastpass':
+                    // LastPass exports secure notes with the placeholder URL http://sn
+                    return this.parseCsvExport(
+                        text,
+                        { name: 'name', url: 'url', username: 'username', password: 'password', totp: 'totp' },
+                        cell => cell('url') === 'http://sn'
+                    );
+                case 'bitwarden':
+                    return this.parseBitwardenJson(text);
+                case 'keepass':
+                    return this.parseKeePassXml(text);
+                default:
+                    return { rows: [], errors: [{ row: 1, message: 'Unrecognized file format. Choose the format manually.' }] };
+            }
+        } catch (error) {
+            return { rows: [], errors: [{ row: 1, message: `Could not read file: ${error.message}` }] };
+        }
+    }
+
+    findDuplicateEntry(website, username) {
+        const normalize = value => (value || '').trim().toLowerCase();
+        return this.passwords.find(pwd =>
+            this.getItemType(pwd) === ITEM_TYPES.login &&
+            normalize(pwd.website) === normalize(website) && normalize(pwd.username) === normalize(username)
+        );
+    }
+
+    // Rows carry an action: 'add', 'skip', 'overwrite' (duplicates only) or 'keep-both'. Changes this.passwords
+    // only; saving is up to the caller
+    async importEntries(rows) {
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        const now = new Date().toISOString();
+
+        for (const row of rows) {
+            const duplicate = row.duplicateId && this.passwords.find(pwd => pwd.id === row.duplicateId);
+            if (row.action === 'skip') {
+                counts.skipped++;
+            } else if (row.action === 'overwrite' && duplicate) {
+                if (await this.changeEntryPassword(duplicate, row.password, now)) {
+                    duplicate.updatedAt = now;
+                }
+                counts.updated++;
+            } else {
+                this.passwords.push(await this.createEntry(row.website, row.username, row.password, row.totp, { urls: row.urls }));
+                counts.added++;
+            }
+        }
+        return counts;
+    }
+}
+
+// Node (CLI and tests) loads this file as a module; in the browser the same names are plain globals
+if (typeof module !== 'undefined') {
+    module.exports = {
+        VaultCore,
+        ITEM_TYPES,
+        CUSTOM_FIELD_TYPES,
+        URL_MATCH_RULES,
+        DEFAULT_GENERATOR_OPTIONS,
+        DEFAULT_SETTINGS,
+        BACKUP_FORMAT,
+        BACKUP_VERSION,
+        MIN_BACKUP_PASSPHRASE_LENGTH
+    };
+}
@@ -1,93 +1,310 @@
 // SecurePass - Enterprise Password Manager
-// Professional JavaScript implementation with proper user management
-
-class SecurePass {
-    constructor() {
+// The web app: rendering and event handling on top of VaultCore (core.js), which holds the accounts,
+// encryption and vault logic
+
+// One-time code countdown ring (r = 16 in the SVG)
+const TOTP_RING_CIRCUMFERENCE = 2 * Math.PI * 16;
+
+// Website icons: cached as data URLs and fetched again after a month; monograms cover everything else
+const FAVICON_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const FAVICON_MAX_BYTES = 64 * 1024;
+const MONOGRAM_COLORS = ['#667eea', '#ff6b6b', '#4ecdc4', '#f5a623', '#9b59b6', '#2a9d8f', '#e76f51', '#3d5a80'];
+
+// Password list: above the threshold only the rows in view are rendered
+const WINDOWED_ROW_THRESHOLD = 200;
+const WINDOWED_ROW_BUFFER = 20;
+const ESTIMATED_ROW_HEIGHT = 72;
+const SORT_COLLATOR = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+// The security report decrypts the whole vault, so a burst of saves recomputes it once
+const SECURITY_REPORT_DELAY_MS = 500;
+
+// Sync: local edits are pushed shortly after they happen, and the server is polled while the vault is open
+const SYNC_PUSH_DELAY_MS = 2000;
+const SYNC_POLL_INTERVAL_MS = 60 * 1000;
+
+// Activity log event types, grouped into the categories the Settings filter offers
+const ACTIVITY_TYPES = {
+    'sign-in': { label: 'Signed in', icon: 'fa-sign-in-alt', category: 'access' },
+    'sign-out': { label: 'Signed out', icon: 'fa-sign-out-alt', category: 'access' },
+    'unlock': { label: 'Unlocked vault', icon: 'fa-unlock', category: 'access' },
+    'sign-in-failed': { label: 'Failed sign-in', icon: 'fa-exclamation-triangle', category: 'failed' },
+    'unlock-failed': { label: 'Failed unlock', icon: 'fa-exclamation-triangle', category: 'failed' },
+    'lockout': { label: 'Locked out', icon: 'fa-ban', category: 'failed' },
+    'reveal': { label: 'Revealed secret', icon: 'fa-eye', category: 'reveal' },
+    'add': { label: 'Added entry', icon: 'fa-plus', category: 'entries' },
+    'edit': { label: 'Edited entry', icon: 'fa-edit', category: 'entries' },
+    'delete': { label: 'Deleted entry', icon: 'fa-trash', category: 'entries' },
+    'import': { label: 'Imported entries', icon: 'fa-file-import', category: 'entries' },
+    'restore': { label: 'Restored backup', icon: 'fa-archive', category: 'entries' },
+    'recovery-failed': { label: 'Failed recovery attempt', icon: 'fa-exclamation-triangle', category: 'failed' },
+    'password-change': { label: 'Changed master password', icon: 'fa-user-shield', category: 'account' },
+    'recovery': { label: 'Reset master password with recovery key', icon: 'fa-life-ring', category: 'account' },
+    'recovery-kit-created': { label: 'Created emergency kit', icon: 'fa-life-ring', category: 'account' },
+    'two-factor-enabled': { label: 'Enabled two-factor authentication', icon: 'fa-mobile-alt', category: 'account' },
+    'two-factor-disabled': { label: 'Disabled two-factor authentication', icon: 'fa-mobile-alt', category: 'account' },
+    'backup-codes-regenerated': { label: 'Regenerated backup codes', icon: 'fa-mobile-alt', category: 'account' },
+    'share': { label: 'Shared entry', icon: 'fa-share-alt', category: 'entries' },
+    'unshare': { label: 'Revoked share', icon: 'fa-user-times', category: 'entries' },
+    'share-access': { label: 'Changed share access', icon: 'fa-user-lock', category: 'entries' },
+    'sync-connected': { label: 'Connected sync', icon: 'fa-sync-alt', category: 'account' },
+    'sync-disconnected': { label: 'Disconnected sync', icon: 'fa-sync-alt', category: 'account' },
+    'sync-conflict': { label: 'Resolved sync conflict', icon: 'fa-code-branch', category: 'entries' },
+    'copy': { label: 'Copied secret', icon: 'fa-copy', category: 'reveal' },
+    'trash-restore': { label: 'Restored entry from trash', icon: 'fa-trash-restore', category: 'entries' },
+    'purge': { label: 'Permanently deleted entry', icon: 'fa-times-circle', category: 'entries' }
+};
+
+// Command palette: how many matches are listed at once
+const PALETTE_MAX_RESULTS = 8;
+
+class SecurePass extends VaultCore {
+    constructor(storage = VaultStorage.createDefault()) {
+        super(storage);
         this.isAuthenticated = false;
-        this.currentUser = null;
-        this.passwords = [];
-        this.users = this.loadUsers(); // Simulated backend
+        this.lastActivity = Date.now();
+        this.idleTimer = null;
+        this.editingId = null; // Entry being edited in the add-password modal
+        this.auditRun = 0; // Discards security reports superseded by a newer run
+        this.auditTimer = null;
+        this.importPreview = []; // Parsed rows awaiting confirmation in the import modal
+        this.importErrors = [];
+        this.totpTimer = null;
+        this.totpCache = new Map(); // Entry id -> code for the current time step, never the secret
+        this.twoFactorAction = null; // 'disable' | 'regenerate', awaiting the master password
+        this.sessionVerified = false; // Set once this page load has passed the full sign-in
+        this.activeFilter = { type: 'all', value: '' }; // Sidebar selection: 'all' | 'favorites' | 'folder' | 'tag'
+        this.selectedIds = new Set(); // Entries ticked for bulk move/tag
+        this.sortOrder = 'relevance'; // '<key>-<asc|desc>' for name, username, createdAt or updatedAt
+        this.searchIndex = new WeakMap(); // Entry -> lowercased search fields
+        this.noteIndex = new Map(); // Entry id -> decrypted note text for search, memory only
+        this.visibleEntries = []; // Result of the last search/filter, in display order
+        this.renderedRange = null; // Slice of visibleEntries currently in the DOM
+        this.rowHeight = ESTIMATED_ROW_HEIGHT;
+        this.sharedEntries = []; // Entries other users shared with this account, decrypted for this session
+        this.sharingId = null; // Entry open in the share modal
+        this.outgoingShareCounts = new Map(); // Entry id -> number of users it is shared with
+        this.syncInFlight = null; // Promise of the running sync, shared by overlapping requests
+        this.syncPushTimer = null;
+        this.syncPollTimer = null;
+        this.syncError = null; // Message from the last failed sync
+        this.syncConflicts = []; // Entries changed both here and on the server, awaiting a decision
+        this.clipboardTimer = null;
+        this.clipboardSecret = null; // Last secret this app copied, until it is cleared
+        this.paletteResults = []; // Entries listed in the command palette
+        this.paletteIndex = 0; // Highlighted palette result
+        this.faviconRefresh = null; // Promise of the running icon download
+        this.serviceWorker = null; // Registration of sw.js, once registered
+        this.waitingWorker = null; // New release waiting for the user to reload
+        this.updateRequested = false;
         this.init();
     }
 
-    init() {
+    async init() {
+        try {
+            await this.storage.init();
+        } catch (error) {
+            console.error('Storage initialization failed:', error);
+            this.showSignIn();
+            this.showMessage(`Your vault could not be opened: ${error.message}`, 'error', 'signin');
+            return;
+        }
+
+        this.storage.onWriteError = error => {
+            this.showMessage(`Changes could not be saved: ${error.message}`, 'error', this.isAuthenticated ? 'main' : 'signin');
+        };
+        this.users = this.loadUsers();
         this.checkAuthStatus();
         this.bindEvents();
+        this.registerServiceWorker();
         // Don't load passwords here - only load after user is authenticated
     }
 
-    // User Management (Simulated Backend)
-    loadUsers() {
-        const stored = localStorage.getItem('securepass_users');
-        return stored ? JSON.parse(stored) : [];
+    // Sign-In (accounts themselves are managed by VaultCore)
+    async completeSignIn(user, details = '') {
+        this.currentUser = user;
+        this.storage.set('user', this.currentUser);
+        this.isAuthenticated = true;
+        this.sessionVerified = true;
+        this.logActivity(user.id, 'sign-in', details);
+        await this.showMainApp();
+    }
+
+    // Activity Log (append-only: events are never edited or removed)
+    showActivityModal() {
+        document.getElementById('activity-filter').value = 'all';
+        document.getElementById('activity-search').value = '';
+        this.renderActivityLog();
+        document.getElementById('activity-modal').style.display = 'block';
     }
 
-    saveUsers() {
-        localStorage.setItem('securepass_users', JSON.stringify(this.users));
+    closeActivityModal() {
+        document.getElementById('activity-modal').style.display = 'none';
+        document.getElementById('activity-list').innerHTML = '';
     }
 
-    createUser(name, email, password) {
-        // Check if user already exists
-        const existingUser = this.users.find(user => user.email === email);
-        if (existingUser) {
-            return { success: false, message: 'User with this email already exists' };
+    renderActivityLog() {
+        const category = document.getElementById('activity-filter').value;
+        const query = document.getElementById('activity-search').value.trim().toLowerCase();
+        const events = this.loadActivity(this.currentUser.id)
+            .filter(event => category === 'all' || ACTIVITY_TYPES[event.type]?.category === category)
+            .filter(event => !query || `${ACTIVITY_TYPES[event.type]?.label} ${event.details}`.toLowerCase().includes(query))
+            .reverse();
+
+        const list = document.getElementById('activity-list');
+        list.innerHTML = '';
+        if (events.length === 0) {
+            list.innerHTML = '<li class="history-empty">No matching activity</li>';
+            return;
         }
 
-        // Create new user
-        const newUser = {
-            id: Date.now(),
-            name,
-            email,
-            password: this.hashPassword(password), // In production, use proper hashing
-            createdAt: new Date().toISOString()
-        };
+        events.forEach(event => {
+            const type = ACTIVITY_TYPES[event.type] || { label: event.type, icon: 'fa-circle', category: 'other' };
+            const item = document.createElement('li');
+            item.className = `history-item activity-item ${type.category}`;
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${type.icon}`;
+
+            const text = document.createElement('div');
+            text.className = 'activity-text';
+            const label = document.createElement('strong');
+            label.textContent = type.label;
+            text.appendChild(label);
+            if (event.details) {
+                const details = document.createElement('span');
+                details.textContent = event.details;
+                text.appendChild(details);
+            }
 
-        this.users.push(newUser);
-        this.saveUsers();
-        return { success: true, message: 'Account created successfully!' };
+            const date = document.createElement('span');
+            date.className = 'history-date';
+            date.textContent = new Date(event.at).toLocaleString();
+
+            item.append(icon, text, date);
+            list.appendChild(item);
+        });
     }
 
-    authenticateUser(email, password) {
-        const user = this.users.find(u => u.email === email);
-        if (!user) {
-            return { success: false, message: 'Account not found. Please create an account first.' };
-        }
+    // Authentication Methods
+    checkAuthStatus() {
+        // The vault key never leaves memory, so a remembered session starts out locked
+        const user = this.storage.get('user');
 
-        if (this.verifyPassword(password, user.password)) {
-            return { success: true, user: { id: user.id, name: user.name, email: user.email } };
+        if (user && this.users.some(u => u.id === user.id)) {
+            this.currentUser = user;
+            this.showLockScreen();
         } else {
-            return { success: false, message: 'Invalid password' };
+            this.storage.remove('user');
+            this.showSignIn();
         }
     }
 
-    // Simple password hashing (for demo - use proper hashing in production)
-    hashPassword(password) {
-        return btoa(password + 'salt'); // Base64 with salt
-    }
+    // Session Lock
+    lock() {
+        if (!this.isAuthenticated) return;
 
-    verifyPassword(password, hashedPassword) {
-        return btoa(password + 'salt') === hashedPassword;
+        this.isAuthenticated = false;
+        this.passwords = []; // Clear passwords from memory
+        this.vaultKey = null;
+        this.stopIdleTimer();
+        this.stopTotpTimer();
+        this.stopSyncTimer();
+        this.closeAddPasswordModal();
+        this.closeChangePasswordModal();
+        this.closeHistoryModal();
+        this.closeGeneratorModal();
+        this.closeImportModal();
+        this.closeBackupModal();
+        this.closeRestoreModal();
+        this.closeCsvExportModal();
+        this.closeTwoFactorModal();
+        this.closeTwoFactorPasswordModal();
+        this.closeActivityModal();
+        this.closeSyncConnectModal();
+        this.closeSyncConflictModal();
+        this.closeShareModal();
+        this.closeRecoveryKit();
+        this.closeRecoveryPasswordModal();
+        this.closeCommandPalette();
+        this.clearClipboard();
+        this.activeFilter = { type: 'all', value: '' };
+        this.selectedIds.clear();
+        this.noteIndex.clear();
+        this.syncConflicts = [];
+        this.sharedEntries = [];
+        this.privateKey = null;
+        this.updatePasswordsTable();
+        this.showLockScreen();
     }
 
-    // Authentication Methods
-    checkAuthStatus() {
-        const user = localStorage.getItem('securepass_user');
-        if (user) {
-            this.currentUser = JSON.parse(user);
-            this.isAuthenticated = true;
-            this.showMainApp();
-        } else {
-            this.showSignIn();
+    async unlock(password) {
+        const result = await this.authenticateUser(this.currentUser.email, password, 'unlock');
+        if (result.requiresTwoFactor && this.sessionVerified) {
+            // Already passed 2FA on this page load; a remembered session after a reload has not
+            this.vaultKey = this.pendingSignIn.vaultKey;
+            this.pendingSignIn = null;
+            this.clearFailedAttempts(this.currentUser.email);
+        } else if (!result.success) {
+            return result;
         }
+
+        this.logActivity(this.currentUser.id, 'unlock');
+
+        this.isAuthenticated = true;
+        await this.showMainApp();
+        return { success: true, message: 'Vault unlocked!' };
+    }
+
+    // An installed app is minimized rather than left in a tab, so it always locks when hidden
+    isInstalledApp() {
+        return Boolean(window.matchMedia?.('(display-mode: standalone)').matches || navigator.standalone);
+    }
+
+    shouldLockWhenHidden() {
+        return this.getSettings().lockOnHide || this.isInstalledApp();
     }
 
+    startIdleTimer() {
+        this.stopIdleTimer();
+        this.lastActivity = Date.now();
 
+        const { autoLockMinutes } = this.getSettings();
+        if (!autoLockMinutes) return;
+
+        this.idleTimer = setInterval(() => {
+            if (Date.now() - this.lastActivity >= autoLockMinutes * 60 * 1000) {
+                this.lock();
+            }
+        }, 10000);
+    }
+
+    stopIdleTimer() {
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+    }
 
     logout() {
+        if (this.currentUser) {
+            this.logActivity(this.currentUser.id, 'sign-out');
+        }
         this.isAuthenticated = false;
         this.currentUser = null;
         this.passwords = []; // Clear passwords from memory
-        localStorage.removeItem('securepass_user');
+        this.sharedEntries = [];
+        this.noteIndex.clear();
+        this.vaultKey = null;
+        this.privateKey = null;
+        this.pendingSignIn = null;
+        this.sessionVerified = false;
+        this.syncConflicts = [];
+        this.syncError = null;
+        this.stopIdleTimer();
+        this.stopTotpTimer();
+        this.stopSyncTimer();
+        this.closeCommandPalette();
+        this.clearClipboard();
+        this.storage.remove('user');
         this.showSignIn();
         this.showMessage('Successfully signed out!', 'success');
     }
@@ -95,28 +312,69 @@ class SecurePass {
     // UI Methods
     showSignIn() {
         document.getElementById('signin-page').style.display = 'flex';
+        document.getElementById('lock-page').style.display = 'none';
         document.getElementById('main-app').style.display = 'none';
         this.showSignInForm();
     }
 
+    showLockScreen() {
+        document.getElementById('signin-page').style.display = 'none';
+        document.getElementById('main-app').style.display = 'none';
+        document.getElementById('lock-page').style.display = 'flex';
+        document.getElementById('lock-email').textContent = this.currentUser.email;
+        document.getElementById('unlock-password').focus();
+    }
+
     showSignInForm() {
+        this.pendingSignIn = null;
         document.getElementById('signin-form').parentElement.style.display = 'block';
         document.getElementById('create-account-card').style.display = 'none';
+        document.getElementById('two-factor-card').style.display = 'none';
+        document.getElementById('recovery-card').style.display = 'none';
     }
 
     showCreateAccountForm() {
         document.getElementById('signin-form').parentElement.style.display = 'none';
         document.getElementById('create-account-card').style.display = 'block';
+        document.getElementById('two-factor-card').style.display = 'none';
+        document.getElementById('recovery-card').style.display = 'none';
+    }
+
+    showRecoveryForm() {
+        document.getElementById('signin-form').parentElement.style.display = 'none';
+        document.getElementById('create-account-card').style.display = 'none';
+        document.getElementById('two-factor-card').style.display = 'none';
+        document.getElementById('recovery-card').style.display = 'block';
+        document.getElementById('recovery-email').value = document.getElementById('email').value;
+        document.getElementById('recovery-key').focus();
+    }
+
+    showTwoFactorForm() {
+        document.getElementById('signin-page').style.display = 'flex';
+        document.getElementById('lock-page').style.display = 'none';
+        document.getElementById('signin-form').parentElement.style.display = 'none';
+        document.getElementById('create-account-card').style.display = 'none';
+        document.getElementById('recovery-card').style.display = 'none';
+        document.getElementById('two-factor-card').style.display = 'block';
+        document.getElementById('two-factor-code').focus();
     }
 
-    showMainApp() {
+    async showMainApp() {
         document.getElementById('signin-page').style.display = 'none';
+        document.getElementById('lock-page').style.display = 'none';
         document.getElementById('main-app').style.display = 'block';
         document.getElementById('user-email').textContent = this.currentUser.email;
-        this.loadPasswords(); // Load passwords only after user is authenticated
+        await this.loadPasswords(); // Load passwords only after user is authenticated
         this.updateDashboard();
         this.updateAccountInfo();
+        this.updateLockSettings();
+        this.updateTwoFactorSettings();
+        this.updateRecoverySettings();
+        this.updateSyncSettings();
         this.showSection('dashboard');
+        this.startIdleTimer();
+        this.startTotpTimer();
+        this.startSyncTimer();
     }
 
     showSection(sectionId) {
@@ -136,114 +394,581 @@ class SecurePass {
     }
 
     // Password Management
-    loadPasswords() {
+    async loadPasswords() {
         if (!this.currentUser || !this.currentUser.id) {
             this.passwords = [];
             return;
         }
         
-        const stored = localStorage.getItem(`securepass_passwords_${this.currentUser.id}`);
-        this.passwords = stored ? JSON.parse(stored) : [];
+        this.passwords = this.storage.get(`passwords_${this.currentUser.id}`, []);
+        await this.migrateLegacyPasswords();
+        await this.applyIncomingShareEdits();
+        await this.loadSharedEntries();
+        await this.indexNotes();
+        this.purgeExpiredTrash();
         this.updatePasswordsTable();
         this.updateDashboard();
+        this.refreshFavicons();
+    }
+
+    // A locked vault holds an empty list; writing it would wipe the stored entries (and, via sync, every device)
+    savePasswords() {
+        if (!this.isAuthenticated || !this.vaultKey) return;
+        this.storage.set(`passwords_${this.currentUser.id}`, this.passwords);
+        this.indexNotes();
+        this.refreshOutgoingShares().catch(error => console.error('Updating shares failed:', error));
+        this.scheduleSync();
+        this.refreshFavicons();
+    }
+
+    // Re-encrypt entries saved by older builds, which only Base64-encoded the password
+    async migrateLegacyPasswords() {
+        const legacy = this.passwords.filter(pwd => typeof pwd.password === 'string');
+        if (legacy.length === 0) return;
+
+        for (const pwd of legacy) {
+            pwd.password = await this.encryptPassword(atob(pwd.password));
+        }
+        this.savePasswords();
     }
 
-    savePassword(website, username, password) {
+    // details: { type, fields, customFields, folder, tags, favorite }
+    async savePassword(website, username, password, totp = null, details = {}) {
         if (!this.currentUser || !this.currentUser.id) {
             this.showMessage('User not authenticated!', 'error');
             return;
         }
         
-        const newPassword = {
-            id: Date.now(),
-            website,
-            username,
-            password: this.encryptPassword(password),
-            createdAt: new Date().toISOString()
-        };
-        
-        this.passwords.push(newPassword);
-        localStorage.setItem(`securepass_passwords_${this.currentUser.id}`, JSON.stringify(this.passwords));
+        const entry = await this.createEntry(website, username, password, totp, details);
+        this.passwords.push(entry);
+        this.savePasswords();
+        this.logActivity(this.currentUser.id, 'add', website);
         this.updatePasswordsTable();
         this.updateDashboard();
-        this.showMessage('Password saved successfully!', 'success');
+        this.showMessage(`${this.getItemType(entry).noun} saved successfully!`, 'success');
     }
 
-    deletePassword(id) {
+    async updatePassword(id, website, username, password, totp = null, details = {}) {
         if (!this.currentUser || !this.currentUser.id) {
             this.showMessage('User not authenticated!', 'error');
             return;
         }
-        
-        this.passwords = this.passwords.filter(pwd => pwd.id !== id);
-        localStorage.setItem(`securepass_passwords_${this.currentUser.id}`, JSON.stringify(this.passwords));
+        if (id < 0) {
+            await this.updateSharedEntry(id, website, username, password, totp, details);
+            return;
+        }
+
+        const entry = this.passwords.find(pwd => pwd.id === id);
+        if (!entry) {
+            this.showMessage('Password not found!', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        if (entry.password) {
+            await this.changeEntryPassword(entry, password, now);
+        }
+        entry.website = website;
+        entry.username = username;
+        entry.totp = totp ? await this.encryptPassword(JSON.stringify(totp)) : null;
+        entry.fields = await this.encryptFields(entry.type, details.fields);
+        entry.customFields = await this.encryptCustomFields(details.customFields);
+        if (details.urls) {
+            entry.urls = details.urls;
+        }
+        entry.folder = details.folder || '';
+        entry.tags = details.tags || [];
+        entry.favorite = Boolean(details.favorite);
+        entry.updatedAt = now;
+        this.totpCache.delete(id);
+
+        this.savePasswords();
+        this.logActivity(this.currentUser.id, 'edit', website);
+        this.updatePasswordsTable();
+        this.updateDashboard();
+        this.showMessage(`${this.getItemType(entry).noun} updated successfully!`, 'success');
+    }
+
+    restorePasswordVersion(id, index) {
+        const entry = this.passwords.find(pwd => pwd.id === id);
+        const version = entry?.history?.[index];
+        if (!version) {
+            this.showMessage('Password version not found!', 'error');
+            return;
+        }
+
+        // The current password becomes the newest history item
+        const now = new Date().toISOString();
+        entry.history.splice(index, 1);
+        entry.history.unshift({ password: entry.password, changedAt: now });
+        entry.password = version.password;
+        entry.updatedAt = now;
+        delete entry.breach;
+
+        this.savePasswords();
+        this.logActivity(this.currentUser.id, 'edit', `${entry.website} (restored a previous password)`);
         this.updatePasswordsTable();
         this.updateDashboard();
-        this.showMessage('Password deleted successfully!', 'success');
+        this.showPasswordHistory(id);
+        this.showMessage('Previous password restored!', 'success');
+    }
+
+    deletePassword(id) {
+        this.moveToTrash([id]);
+    }
+
+    // Entries passing the sidebar filter and the search box, ranked or sorted for display
+    getVisibleEntries() {
+        const query = this.parseSearchQuery(document.getElementById('search-passwords')?.value || '');
+        const [sortKey, direction] = this.sortOrder.split('-');
+
+        const source = this.activeFilter.type === 'shared' ? this.sharedEntries
+            : this.activeFilter.type === 'trash' ? this.loadTrash()
+            : this.passwords;
+        let results = source
+            .filter(pwd => this.matchesFilter(pwd) && this.matchesQueryFilters(pwd, query))
+            .map(pwd => ({ pwd, score: query.terms.length ? this.scoreEntry(pwd, query.terms) : 0 }));
+        if (query.terms.length) {
+            results = results.filter(result => result.score !== null);
+        }
+
+        if (sortKey === 'relevance') {
+            // Without search terms, relevance keeps the vault's own order
+            if (query.terms.length) results.sort((a, b) => b.score - a.score);
+        } else {
+            const value = pwd => sortKey === 'name' ? pwd.website
+                : sortKey === 'username' ? (this.getItemType(pwd) === ITEM_TYPES.login ? pwd.username : this.describeItem(pwd))
+                : pwd[sortKey] || pwd.createdAt || '';
+            const compare = sortKey === 'name' || sortKey === 'username'
+                ? (a, b) => SORT_COLLATOR.compare(value(a.pwd), value(b.pwd))
+                : (a, b) => value(a.pwd).localeCompare(value(b.pwd)); // ISO timestamps sort as strings
+            results.sort(direction === 'desc' ? (a, b) => compare(b, a) : compare);
+        }
+
+        return results.map(result => result.pwd);
+    }
+
+    // Search
+    // Free text is fuzzy-matched; tag:, folder:, type: and is:favorite narrow the results. Values may be "quoted".
+    parseSearchQuery(text) {
+        const query = { terms: [], tags: [], folders: [], types: [], favorite: false };
+        const tokens = text.toLowerCase().matchAll(/(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g);
+
+        for (const [token, key, quotedValue, value, quotedTerm, term] of tokens) {
+            const filterValue = (quotedValue ?? value ?? '').trim();
+            if (key === 'tag' && filterValue) {
+                query.tags.push(filterValue);
+            } else if (key === 'folder' && filterValue) {
+                query.folders.push(filterValue);
+            } else if (key === 'type' && filterValue) {
+                query.types.push(filterValue);
+            } else if (key === 'is' && filterValue === 'favorite') {
+                query.favorite = true;
+            } else {
+                const word = (quotedTerm ?? term ?? token).trim();
+                if (word) query.terms.push(word);
+            }
+        }
+        return query;
+    }
+
+    matchesQueryFilters(entry, query) {
+        if (query.favorite && !entry.favorite) return false;
+
+        const tags = (entry.tags || []).map(tag => tag.toLowerCase());
+        if (!query.tags.every(tag => tags.includes(tag))) return false;
+
+        // folder:finance matches "Finance", "Finance/Banks" and "Personal/Finance"
+        const folder = (entry.folder || '').toLowerCase();
+        const segments = folder.split('/');
+        if (!query.folders.every(value => this.isInFolder(folder, value) || segments.includes(value))) return false;
+
+        const itemType = this.getItemType(entry);
+        return query.types.every(type =>
+            type === (entry.type || 'login') || itemType.label.toLowerCase().replace(/[\s-]/g, '').startsWith(type.replace(/[\s-]/g, ''))
+        );
+    }
+
+    // Lowercased searchable text per entry, rebuilt only when the entry changes
+    getSearchFields(entry) {
+        const cached = this.searchIndex.get(entry);
+        if (cached && cached.updatedAt === entry.updatedAt) return cached.fields;
+
+        const fields = [
+            { text: entry.website.toLowerCase(), weight: 3 },
+            { text: this.getEntryDomain(entry).toLowerCase(), weight: 2.5 },
+            { text: (this.getItemType(entry) === ITEM_TYPES.login ? entry.username : this.describeItem(entry)).toLowerCase(), weight: 2 },
+            ...(entry.tags || []).map(tag => ({ text: tag.toLowerCase(), weight: 2 })),
+            ...(entry.customFields || [])
+                .filter(field => field.type !== 'hidden')
+                .map(field => ({ text: `${field.name} ${field.value}`.toLowerCase(), weight: 1 }))
+        ].filter(field => field.text);
+
+        this.searchIndex.set(entry, { updatedAt: entry.updatedAt, fields });
+        return fields;
+    }
+
+    // Every term has to match somewhere; an entry's score is the sum of each term's best weighted match
+    scoreEntry(entry, terms) {
+        const fields = this.getSearchFields(entry);
+        const notes = this.noteIndex.get(entry.id)?.text;
+        let total = 0;
+
+        for (const term of terms) {
+            let best = null;
+            for (const field of fields) {
+                const score = this.fuzzyScore(term, field.text);
+                if (score !== null && (best === null || score * field.weight > best)) {
+                    best = score * field.weight;
+                }
+            }
+            // Note bodies only count as plain substring matches, they're too long for fuzzy matching to mean much
+            if (best === null && notes?.includes(term)) {
+                best = 50;
+            }
+            if (best === null) return null;
+            total += best;
+        }
+        return total;
+    }
+
+    // Higher is better; null when the query's characters don't appear in order
+    fuzzyScore(query, text) {
+        const index = text.indexOf(query);
+        if (index !== -1) {
+            // Contiguous matches beat scattered ones, most of all at the start of the text or of a word
+            const boundary = index === 0 ? 50 : /[\s.@_\-/:]/.test(text[index - 1]) ? 25 : 0;
+            return 100 + boundary - Math.min(text.length - query.length, 20);
+        }
+
+        let score = 0;
+        let first = -1;
+        let last = -1;
+        for (const char of query) {
+            const found = text.indexOf(char, last + 1);
+            if (found === -1) return null;
+            if (first === -1) first = found;
+            score += found === last + 1 ? 5 : 1;
+            if (found === 0 || /[\s.@_\-/:]/.test(text[found - 1])) score += 3;
+            last = found;
+        }
+
+        // Characters strewn across a long string are a coincidence, not a match
+        const span = last - first + 1;
+        if (span > query.length * 3) return null;
+        return Math.min(score - (span - query.length), 99);
+    }
+
+    // Secure notes are encrypted at rest; their plaintext is held in memory (cleared on lock) so search can reach it
+    async indexNotes() {
+        if (!this.vaultKey) return;
+
+        for (const entry of [...this.passwords, ...this.sharedEntries]) {
+            const encrypted = entry.fields?.notes;
+            if (!encrypted || this.noteIndex.get(entry.id)?.iv === encrypted.iv) continue;
+            try {
+                this.noteIndex.set(entry.id, { iv: encrypted.iv, text: (await this.decryptPassword(encrypted)).toLowerCase() });
+            } catch (error) {
+                this.noteIndex.delete(entry.id);
+            }
+        }
+    }
+
+    setSortOrder(sortOrder) {
+        this.sortOrder = sortOrder;
+        document.getElementById('sort-passwords').value = sortOrder;
+        this.refreshEntryList();
+    }
+
+    // Clicking a column header sorts by it, and clicking again flips the direction
+    toggleColumnSort(key) {
+        this.setSortOrder(this.sortOrder === `${key}-asc` ? `${key}-desc` : `${key}-asc`);
+    }
+
+    updateSortIndicators() {
+        document.querySelectorAll('.passwords-table th[data-sort]').forEach(header => {
+            const icon = header.querySelector('i');
+            icon.className = this.sortOrder === `${header.dataset.sort}-asc` ? 'fas fa-sort-up'
+                : this.sortOrder === `${header.dataset.sort}-desc` ? 'fas fa-sort-down'
+                : 'fas fa-sort';
+        });
     }
 
     updatePasswordsTable() {
+        this.updateSidebar();
+        this.refreshEntryList();
+    }
+
+    // Re-runs search, filters and sorting; the sidebar is left alone so typing stays cheap
+    refreshEntryList() {
         const tbody = document.getElementById('passwords-tbody');
         if (!tbody) return;
         
-        const searchTerm = document.getElementById('search-passwords')?.value.toLowerCase() || '';
-        
-        const filteredPasswords = this.passwords.filter(pwd => 
-            pwd.website.toLowerCase().includes(searchTerm) ||
-            pwd.username.toLowerCase().includes(searchTerm)
-        );
+        const filteredPasswords = this.getVisibleEntries();
+        this.visibleEntries = filteredPasswords;
+        this.outgoingShareCounts = new Map();
+        if (this.currentUser) {
+            this.loadShares().filter(share => share.ownerId === this.currentUser.id).forEach(share => {
+                this.outgoingShareCounts.set(share.entryId, (this.outgoingShareCounts.get(share.entryId) || 0) + 1);
+            });
+        }
+
+        // Bulk actions only apply to entries that are still on screen
+        const visibleIds = new Set(filteredPasswords.map(pwd => pwd.id));
+        this.selectedIds.forEach(id => {
+            if (!visibleIds.has(id)) this.selectedIds.delete(id);
+        });
+        this.updateBulkBar(filteredPasswords.length);
+        this.updateSortIndicators();
 
         if (filteredPasswords.length === 0) {
+            const [icon, title, hint] = {
+                shared: ['fa-user-friends', 'Nothing shared with you', 'Entries other users share with you will appear here'],
+                trash: ['fa-trash', 'Trash is empty', 'Deleted entries are kept here until they are purged']
+            }[this.activeFilter.type] || ['fa-key', 'No passwords found', 'Add your first password to get started'];
+            this.renderedRange = null;
+            document.querySelector('.passwords-table-container').classList.remove('windowed');
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="4" style="text-align: center; padding: 40px; color: #666;">
-                        <i class="fas fa-key" style="font-size: 48px; color: #ddd; margin-bottom: 15px; display: block;"></i>
-                        <p>No passwords found</p>
-                        <p style="font-size: 14px; margin-top: 10px;">Add your first password to get started</p>
+                    <td colspan="6" style="text-align: center; padding: 40px; color: #666;">
+                        <i class="fas ${icon}" style="font-size: 48px; color: #ddd; margin-bottom: 15px; display: block;"></i>
+                        <p>${title}</p>
+                        <p style="font-size: 14px; margin-top: 10px;">${hint}</p>
                     </td>
                 </tr>
             `;
             return;
         }
 
-        tbody.innerHTML = filteredPasswords.map(pwd => `
-            <tr>
-                <td>
-                    <div style="display: flex; align-items: center; gap: 10px;">
-                        <i class="fas fa-globe" style="color: #667eea;"></i>
-                        <span>${pwd.website}</span>
-                    </div>
-                </td>
-                <td>${pwd.username}</td>
-                <td>
-                    <div class="password-field">
-                        <span class="password-text" data-password="${pwd.password}">••••••••</span>
-                        <button class="password-toggle" onclick="securePass.togglePassword(this)">
-                            <i class="fas fa-eye"></i>
-                        </button>
-                    </div>
-                </td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="action-btn-small delete-btn" onclick="securePass.deletePassword(${pwd.id})">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+        this.renderTableWindow(true);
+    }
+
+    // Large lists only render the rows in view (plus a buffer); spacer rows keep the scrollbar honest
+    renderTableWindow(force = false) {
+        const tbody = document.getElementById('passwords-tbody');
+        const container = document.querySelector('.passwords-table-container');
+        const entries = this.visibleEntries || [];
+        if (!tbody || entries.length === 0) return;
+
+        const windowed = entries.length > WINDOWED_ROW_THRESHOLD;
+        container.classList.toggle('windowed', windowed);
+
+        let start = 0;
+        let end = entries.length;
+        if (windowed) {
+            const viewport = container.clientHeight || window.innerHeight;
+            start = Math.max(0, Math.floor(container.scrollTop / this.rowHeight) - WINDOWED_ROW_BUFFER);
+            end = Math.min(entries.length, start + Math.ceil(viewport / this.rowHeight) + WINDOWED_ROW_BUFFER * 2);
+        }
+
+        if (!force && this.renderedRange?.start === start && this.renderedRange?.end === end) return;
+        this.renderedRange = { start, end };
+
+        const spacer = height => {
+            const row = this.createElement('tr', { className: 'spacer-row' }, this.createElement('td', { colspan: 6 }));
+            row.style.height = `${height}px`;
+            return row;
+        };
+        tbody.replaceChildren(
+            ...(start > 0 ? [spacer(start * this.rowHeight)] : []),
+            ...entries.slice(start, end).map(pwd => this.renderEntryRow(pwd)),
+            ...(end < entries.length ? [spacer((entries.length - end) * this.rowHeight)] : [])
+        );
+
+        // Rows grow with tags and custom fields, so keep the estimate close to what was drawn
+        if (windowed) {
+            const rows = tbody.querySelectorAll('tr:not(.spacer-row)');
+            const drawn = [...rows].reduce((sum, row) => sum + row.offsetHeight, 0);
+            if (drawn > 0) this.rowHeight = drawn / rows.length;
+        }
+
+        this.refreshTotpCodes();
+    }
+
+    // Masked values are looked up by the dataset (see getMaskedValue); the buttons are handled by handleEntryAction
+    renderMaskedField(pwd, dataset = {}) {
+        return this.createElement('div', { className: 'password-field' },
+            this.createElement('span', { className: 'password-text', dataset: { id: pwd.id, ...dataset } }, '••••••••'),
+            this.createElement('button', { type: 'button', className: 'password-toggle', title: 'Show', dataset: { action: 'reveal' } },
+                this.createIcon('fa-eye')),
+            this.createElement('button', { type: 'button', className: 'copy-btn', title: 'Copy', dataset: { action: 'copy-secret' } },
+                this.createIcon('fa-copy'))
+        );
+    }
+
+    // Built from DOM nodes so entry data only ever lands in text nodes and attribute values
+    renderEntryRow(pwd) {
+        const type = this.getItemType(pwd);
+        const shareCount = this.outgoingShareCounts.get(pwd.id) || 0;
+        const own = !pwd.shared && !pwd.deletedAt;
+        const badge = (className, icon, text) => this.createElement('span', { className }, this.createIcon(icon), ` ${text}`);
+        const copyButton = (action, title) => this.createElement('button', { type: 'button', className: 'copy-btn', title, dataset: { action } },
+            this.createIcon('fa-copy'));
+        const actionButton = (action, className, title, icon) => this.createElement('button',
+            { type: 'button', className: `action-btn-small ${className}`, title, dataset: { action } }, this.createIcon(icon));
+
+        const select = this.createElement('td', { className: 'select-cell' },
+            own && this.createElement('input', { type: 'checkbox', checked: this.selectedIds.has(pwd.id), dataset: { action: 'select' } }));
+
+        const badges = [
+            pwd.deletedAt && badge('trash-badge', 'fa-trash', this.describeTrashExpiry(pwd)),
+            pwd.shared && badge('share-badge', 'fa-user-friends', `Shared by ${pwd.shared.owner} · ${SHARE_PERMISSIONS[pwd.shared.permission]}`),
+            shareCount > 0 && badge('share-badge', 'fa-share-alt', `Shared with ${shareCount}`),
+            pwd.folder && badge('folder-badge', 'fa-folder', pwd.folder.replace(/\//g, ' / ')),
+            ...(pwd.tags || []).map(tag => this.createElement('span', { className: 'tag-badge' }, tag))
+        ].filter(Boolean);
+        const name = this.createElement('td', {},
+            this.createElement('div', { className: 'entry-title' },
+                own && this.createElement('button', {
+                    type: 'button',
+                    className: `favorite-btn ${pwd.favorite ? 'active' : ''}`,
+                    title: pwd.favorite ? 'Remove from favorites' : 'Add to favorites',
+                    dataset: { action: 'favorite' }
+                }, this.createElement('i', { className: `${pwd.favorite ? 'fas' : 'far'} fa-star` })),
+                type === ITEM_TYPES.login
+                    ? this.renderEntryIcon(pwd)
+                    : this.createElement('i', { className: `fas ${type.icon} entry-type-icon`, title: type.label }),
+                this.createElement('span', {}, pwd.website),
+                pwd.breach?.count > 0 && this.createElement('span', {
+                    className: 'breach-badge',
+                    title: `Seen ${pwd.breach.count.toLocaleString()} times in known breaches`
+                }, this.createIcon('fa-exclamation-triangle'), ' Compromised')
+            ),
+            badges.length > 0 && this.createElement('div', { className: 'entry-meta' }, badges)
+        );
+
+        const customFields = (pwd.customFields || []).map((field, index) => this.createElement('div', { className: 'custom-field-item' },
+            this.createElement('span', { className: 'custom-field-name' }, field.name),
+            field.type === 'hidden'
+                ? pwd.deletedAt ? this.createElement('span', {}, '••••••••') : this.renderMaskedField(pwd, { customIndex: index })
+                : field.type === 'url' && /^https?:\/\//i.test(field.value)
+                    ? this.createElement('a', { href: field.value, target: '_blank', rel: 'noopener noreferrer' }, field.value)
+                    : this.createElement('span', {}, field.value)
+        ));
+        const details = this.createElement('td', {},
+            type === ITEM_TYPES.login
+                ? [pwd.username, pwd.username && !pwd.deletedAt && copyButton('copy-username', 'Copy username')]
+                : this.describeItem(pwd),
+            customFields.length > 0 && this.createElement('div', { className: 'custom-field-list' }, customFields)
+        );
+
+        const secret = this.createElement('td', {}, pwd.deletedAt
+            ? this.createElement('span', { className: 'totp-none' }, '—')
+            : [
+                pwd.password && this.renderMaskedField(pwd),
+                type.fields.filter(field => field.hidden && pwd.fields?.[field.key]).map(field => this.createElement('div', { className: 'secret-field' },
+                    this.createElement('span', { className: 'secret-label' }, field.label),
+                    this.renderMaskedField(pwd, { field: field.key })
+                ))
+            ]);
+
+        let totp = this.createElement('span', { className: 'totp-none' }, '—');
+        if (pwd.totp && !pwd.deletedAt) {
+            // Static markup only; refreshTotpCodes fills in the code
+            totp = this.createElement('div', { className: 'totp-field', dataset: { id: pwd.id } });
+            totp.innerHTML = `
+                <span class="totp-code">••• •••</span>
+                <svg class="totp-ring" viewBox="0 0 36 36">
+                    <circle class="totp-ring-track" cx="18" cy="18" r="16"></circle>
+                    <circle class="totp-ring-progress" cx="18" cy="18" r="16" stroke-dasharray="${TOTP_RING_CIRCUMFERENCE}"></circle>
+                </svg>
+            `;
+            totp.appendChild(copyButton('copy-totp', 'Copy code'));
+        }
+
+        const actions = this.createElement('div', { className: 'action-buttons' }, pwd.deletedAt
+            ? [
+                actionButton('restore', 'restore-btn', 'Restore', 'fa-trash-restore'),
+                actionButton('purge', 'delete-btn', 'Delete forever', 'fa-times')
+            ]
+            : [
+                this.getEntryUrl(pwd) && actionButton('launch', 'launch-btn', 'Open website', 'fa-external-link-alt'),
+                (!pwd.shared || pwd.shared.permission === 'edit') && actionButton('edit', 'edit-btn', 'Edit', 'fa-edit'),
+                !pwd.shared && actionButton('share', 'share-btn', 'Share', 'fa-share-alt'),
+                pwd.password && !pwd.shared && actionButton('history', 'history-btn', 'History', 'fa-history'),
+                !pwd.shared && actionButton('delete', 'delete-btn', 'Delete', 'fa-trash')
+            ]);
+
+        return this.createElement('tr', { className: this.selectedIds.has(pwd.id) ? 'selected' : '', dataset: { id: pwd.id } },
+            select, name, details, secret, this.createElement('td', {}, totp), this.createElement('td', {}, actions));
     }
 
-    togglePassword(button) {
+    // Delegated from the passwords table (and the history list, for masked fields)
+    handleEntryAction(e) {
+        const target = e.target.closest('[data-action]');
+        const row = e.target.closest('[data-id]');
+        if (!target || !row) return;
+
+        const id = Number(row.dataset.id);
+        switch (target.dataset.action) {
+            case 'select': return this.toggleSelected(id, target.checked);
+            case 'favorite': return this.toggleFavorite(id);
+            case 'reveal': return this.togglePassword(target);
+            case 'copy-secret': return this.copyMaskedField(target);
+            case 'copy-username': return this.copyEntryField(id, 'username');
+            case 'copy-totp': return this.copyEntryField(id, 'totp');
+            case 'launch': return this.openEntryWebsite(id);
+            case 'edit': return this.showEditPasswordModal(id);
+            case 'share': return this.showShareModal(id);
+            case 'history': return this.showPasswordHistory(id);
+            case 'delete': return this.deletePassword(id);
+            case 'restore': return this.restoreFromTrash([id]);
+            case 'purge': return this.purgeFromTrash([id]);
+            case 'restore-version': return this.restorePasswordVersion(id, Number(row.dataset.index));
+        }
+    }
+
+    // Plaintext summary for the table's details column; hidden fields are never included
+    describeItem(entry) {
+        const fields = entry.fields || {};
+        switch (entry.type) {
+            case 'card':
+                return [fields.cardholder, fields.expiry && `Expires ${fields.expiry}`].filter(Boolean).join(' · ');
+            case 'identity':
+                return [fields.fullName, fields.email, fields.phone].filter(Boolean).join(' · ');
+            case 'wifi':
+                return fields.security ? `Security: ${fields.security}` : '';
+            case 'note':
+                return 'Secure note';
+            default:
+                return entry.username;
+        }
+    }
+
+    // A masked span names its value with data-history-index, data-field or data-custom-index (default: the password)
+    getMaskedValue(entry, dataset) {
+        if (!entry) return {};
+        if (dataset.historyIndex !== undefined) {
+            return { encrypted: entry.history?.[dataset.historyIndex]?.password, label: 'previous password' };
+        }
+        if (dataset.field !== undefined) {
+            const field = this.getItemType(entry).fields.find(candidate => candidate.key === dataset.field);
+            return { encrypted: entry.fields?.[dataset.field], label: field?.label.toLowerCase() };
+        }
+        if (dataset.customIndex !== undefined) {
+            const field = entry.customFields?.[dataset.customIndex];
+            return { encrypted: field?.value, label: field?.name };
+        }
+        return { encrypted: entry.password };
+    }
+
+    async togglePassword(button) {
         const passwordText = button.previousElementSibling;
-        const password = passwordText.dataset.password;
+        const entry = this.findEntry(Number(passwordText.dataset.id));
+        const { encrypted, label } = this.getMaskedValue(entry, passwordText.dataset);
         const isVisible = passwordText.textContent !== '••••••••';
         
         if (isVisible) {
             passwordText.textContent = '••••••••';
             button.innerHTML = '<i class="fas fa-eye"></i>';
-        } else {
-            passwordText.textContent = this.decryptPassword(password);
+        } else if (encrypted) {
+            try {
+                passwordText.textContent = await this.decryptPassword(encrypted);
+            } catch (error) {
+                this.showMessage('Unable to decrypt password!', 'error');
+                return;
+            }
+            this.logActivity(this.currentUser.id, 'reveal', label ? `${entry.website} (${label})` : entry.website);
             button.innerHTML = '<i class="fas fa-eye-slash"></i>';
             
             // Auto-hide after 5 seconds
@@ -260,114 +985,1662 @@ class SecurePass {
         if (totalPasswordsElement) {
             totalPasswordsElement.textContent = this.passwords.length;
         }
-    }
 
-    // Modal Management
-    showAddPasswordModal() {
-        document.getElementById('add-password-modal').style.display = 'block';
-        document.getElementById('new-website').focus();
+        this.scheduleSecurityReport();
     }
 
-    closeAddPasswordModal() {
-        document.getElementById('add-password-modal').style.display = 'none';
-        document.getElementById('add-password-form').reset();
-    }
+    // Clipboard
+    // Copied secrets are wiped after the configured delay. Reading the clipboard back would need a permission
+    // prompt, so the wipe is skipped only when this app has copied something else since.
+    async copyToClipboard(text, label, secret = true) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            this.showMessage('The browser blocked clipboard access!', 'error');
+            return false;
+        }
 
-    // Password Generation
-    generateRandomPassword() {
-        const length = 16;
-        const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-        let password = '';
-        
-        for (let i = 0; i < length; i++) {
-            password += charset.charAt(Math.floor(Math.random() * charset.length));
+        clearTimeout(this.clipboardTimer);
+        this.clipboardTimer = null;
+        this.clipboardSecret = null;
+
+        const { clipboardClearSeconds } = this.getSettings();
+        if (secret && clipboardClearSeconds) {
+            this.clipboardSecret = text;
+            this.clipboardTimer = setTimeout(() => this.clearClipboard(), clipboardClearSeconds * 1000);
+            this.showMessage(`${label} copied, clearing in ${clipboardClearSeconds}s`, 'success');
+        } else {
+            this.showMessage(`${label} copied to clipboard!`, 'success');
         }
-        
-        document.getElementById('new-password').value = password;
-        document.getElementById('new-password').type = 'text';
-        
-        setTimeout(() => {
-            document.getElementById('new-password').type = 'password';
-        }, 2000);
+        return true;
     }
 
-    // Encryption (Simple implementation - in production, use proper encryption)
-    encryptPassword(password) {
-        return btoa(password); // Base64 encoding (for demo purposes)
+    // Also called on lock and sign-out, so a copied secret doesn't outlive the session
+    async clearClipboard() {
+        clearTimeout(this.clipboardTimer);
+        this.clipboardTimer = null;
+        if (this.clipboardSecret === null) return;
+
+        this.clipboardSecret = null;
+        await navigator.clipboard.writeText('').catch(() => {}); // Fails while the page isn't focused
     }
 
-    decryptPassword(encrypted) {
-        return atob(encrypted); // Base64 decoding
+    // field: 'username', 'password' or 'totp'
+    async copyEntryField(id, field) {
+        const entry = this.findEntry(id);
+        if (!entry) return false;
+
+        const label = { username: 'Username', password: 'Password', totp: 'One-time code' }[field];
+        let value;
+        try {
+            if (field === 'username') {
+                value = entry.username;
+            } else if (field === 'password') {
+                value = entry.password && await this.decryptPassword(entry.password);
+            } else if (field === 'totp') {
+                value = entry.totp && (await this.getTotpCode(entry)).code;
+            }
+        } catch (error) {
+            this.showMessage(`Unable to decrypt ${label.toLowerCase()}!`, 'error');
+            return false;
+        }
+
+        if (!value) {
+            this.showMessage(`${entry.website} has no ${label.toLowerCase()}!`, 'error');
+            return false;
+        }
+        if (!await this.copyToClipboard(value, label, field !== 'username')) return false;
+        if (field === 'password') {
+            this.logActivity(this.currentUser.id, 'copy', entry.website);
+        }
+        return true;
     }
 
-    // Navigation Methods
-    goToDashboard() {
-        this.showSection('dashboard');
+    // Copy button next to a masked span; copies the value the span names, like togglePassword reveals it
+    async copyMaskedField(button) {
+        const passwordText = button.parentElement.querySelector('.password-text');
+        const entry = this.findEntry(Number(passwordText.dataset.id));
+        const { encrypted, label } = this.getMaskedValue(entry, passwordText.dataset);
+        if (!encrypted) return;
+
+        let value;
+        try {
+            value = await this.decryptPassword(encrypted);
+        } catch (error) {
+            this.showMessage('Unable to decrypt password!', 'error');
+            return;
+        }
+        const name = label || 'password';
+        if (await this.copyToClipboard(value, name.charAt(0).toUpperCase() + name.slice(1))) {
+            this.logActivity(this.currentUser.id, 'copy', label ? `${entry.website} (${label})` : entry.website);
+        }
     }
 
-    // Account Management
-    updateAccountInfo() {
-        const accountName = document.getElementById('account-name');
-        const accountEmail = document.getElementById('account-email');
-        const accountCreated = document.getElementById('account-created');
-        
-        if (accountName && this.currentUser) {
-            accountName.textContent = this.currentUser.name;
+    // Website URLs (matching rules are in core.js)
+    // Lookup API for autofill integrations: the logins matching a page, most specific rule first, with
+    // plaintext secrets. Returns { success, message } or { success, credentials }; the vault has to be unlocked.
+    async lookupCredentials(pageUrl) {
+        if (!this.isAuthenticated || !this.vaultKey) {
+            return { success: false, message: 'Vault is locked' };
         }
-        if (accountEmail && this.currentUser) {
-            accountEmail.textContent = this.currentUser.email;
+        const address = this.normalizeUrl(pageUrl);
+        if (!address) {
+            return { success: false, message: 'Not an http(s) address' };
         }
-        if (accountCreated && this.currentUser) {
-            const user = this.users.find(u => u.id === this.currentUser.id);
-            if (user) {
-                const date = new Date(user.createdAt);
-                accountCreated.textContent = date.toLocaleDateString();
-            }
+
+        const credentials = [];
+        for (const { entry, rule } of this.findMatchingEntries([...this.passwords, ...this.sharedEntries], address)) {
+            credentials.push({
+                id: entry.id,
+                name: entry.website,
+                username: entry.username,
+                password: entry.password ? await this.decryptPassword(entry.password) : '',
+                totp: entry.totp ? (await this.getTotpCode(entry)).code : null,
+                url: rule.url,
+                match: rule.match
+            });
         }
+        return { success: true, credentials };
     }
 
-    // Password Change Modal
-    showChangePasswordModal() {
-        document.getElementById('change-password-modal').style.display = 'block';
-        document.getElementById('current-password').focus();
+    openEntryWebsite(id) {
+        const entry = this.findEntry(id);
+        const url = entry && this.getEntryUrl(entry);
+        if (!url) {
+            this.showMessage(`${entry?.website || 'This entry'} has no website to open!`, 'error');
+            return false;
+        }
+        window.open(url, '_blank', 'noopener,noreferrer');
+        return true;
     }
 
-    closeChangePasswordModal() {
-        document.getElementById('change-password-modal').style.display = 'none';
-        document.getElementById('change-password-form').reset();
-        this.clearPasswordRequirements();
+    // Website Icons
+    // Downloaded only when enabled in settings, since every download tells the icon service one of your domains.
+    // Kept as data URLs under favicons_<userId>, so the table never loads images from the network.
+    loadFavicons() {
+        return this.storage.get(`favicons_${this.currentUser.id}`, {});
     }
 
-    // Password Requirements Validation
-    validatePassword(password, isCreateAccount = false) {
-        const requirements = {
-            length: password.length >= 8,
-            uppercase: /[A-Z]/.test(password),
-            lowercase: /[a-z]/.test(password),
-            number: /[0-9]/.test(password),
-            special: /[!@#$%^&*]/.test(password)
-        };
+    refreshFavicons() {
+        const { favicons, faviconEndpoint } = this.getSettings();
+        if (!favicons || this.faviconRefresh || !this.currentUser) return this.faviconRefresh;
 
-        if (isCreateAccount) {
-            // Update visual indicators for create account form
-            document.getElementById('create-req-length').classList.toggle('valid', requirements.length);
-            document.getElementById('create-req-uppercase').classList.toggle('valid', requirements.uppercase);
-            document.getElementById('create-req-lowercase').classList.toggle('valid', requirements.lowercase);
-            document.getElementById('create-req-number').classList.toggle('valid', requirements.number);
-            document.getElementById('create-req-special').classList.toggle('valid', requirements.special);
-        } else {
-            // Update visual indicators for change password form
-            document.getElementById('req-length').classList.toggle('valid', requirements.length);
-            document.getElementById('req-uppercase').classList.toggle('valid', requirements.uppercase);
-            document.getElementById('req-lowercase').classList.toggle('valid', requirements.lowercase);
-            document.getElementById('req-number').classList.toggle('valid', requirements.number);
-            document.getElementById('req-special').classList.toggle('valid', requirements.special);
-        }
+        const userId = this.currentUser.id;
+        const cache = this.loadFavicons();
+        const stale = [...new Set([...this.passwords, ...this.sharedEntries].map(entry => this.getEntryDomain(entry)))]
+            .filter(domain => domain && !(Date.now() - cache[domain]?.fetchedAt < FAVICON_MAX_AGE_MS));
+        if (stale.length === 0) return null;
 
-        return Object.values(requirements).every(req => req);
+        // One at a time, and misses are cached too so they aren't retried on every save
+        this.faviconRefresh = (async () => {
+            for (const domain of stale) {
+                cache[domain] = { data: await this.fetchFavicon(faviconEndpoint, domain), fetchedAt: Date.now() };
+            }
+            this.storage.set(`favicons_${userId}`, cache);
+            if (this.currentUser?.id === userId) this.refreshEntryList();
+        })().finally(() => {
+            this.faviconRefresh = null;
+        });
+        return this.faviconRefresh;
     }
 
-    clearPasswordRequirements() {
+    // Resolves with a data URL, or null when the service has no usable image
+    async fetchFavicon(endpoint, domain) {
+        try {
+            const response = await fetch(endpoint.replace('{domain}', encodeURIComponent(domain)), {
+                credentials: 'omit',
+                referrerPolicy: 'no-referrer'
+            });
+            const blob = await response.blob();
+            if (!response.ok || !blob.type.startsWith('image/') || blob.size > FAVICON_MAX_BYTES) return null;
+            return `data:${blob.type};base64,${this.bytesToBase64(new Uint8Array(await blob.arrayBuffer()))}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The cached icon, or a monogram generated from the entry's name on a colour picked by its domain
+    renderEntryIcon(entry) {
+        const domain = this.getEntryDomain(entry);
+        const favicon = domain && this.getSettings().favicons ? this.loadFavicons()[domain]?.data : null;
+        if (favicon) {
+            return this.createElement('img', { className: 'entry-icon', src: favicon, alt: '' });
+        }
+
+        const letter = (entry.website.match(/[\p{L}\p{N}]/u)?.[0] || '?').toUpperCase();
+        const seed = [...(domain || entry.website.toLowerCase())].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0);
+        const monogram = this.createElement('span', { className: 'entry-icon monogram' }, letter);
+        monogram.style.background = MONOGRAM_COLORS[seed % MONOGRAM_COLORS.length];
+        return monogram;
+    }
+
+    // Offline App
+    // sw.js serves the app shell when offline. A new release installs in the background and only takes over once
+    // the user reloads from the update banner; reloading locks the vault like any page load.
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            this.serviceWorker = registration;
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    checkForUpdate() {
+        this.serviceWorker?.update().catch(() => {}); // Offline: try again next time
+    }
+
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('update-banner').style.display = 'flex';
+    }
+
+    dismissUpdateBanner() {
+        document.getElementById('update-banner').style.display = 'none';
+    }
+
+    // The page reloads on controllerchange, once the new worker has activated
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.updateRequested = true;
+        this.dismissUpdateBanner();
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    // Command Palette
+    // Ctrl+K from anywhere in the vault. Enter copies the password, Shift+Enter the username,
+    // Alt+Enter the one-time code and Ctrl+Enter opens the site.
+    showCommandPalette() {
+        if (!this.isAuthenticated) return;
+
+        const input = document.getElementById('palette-search');
+        input.value = '';
+        document.getElementById('command-palette').style.display = 'block';
+        this.updatePaletteResults();
+        input.focus();
+    }
+
+    closeCommandPalette() {
+        document.getElementById('command-palette').style.display = 'none';
+        this.paletteResults = [];
+    }
+
+    // Ranked like the search box, across the vault and entries shared with this account.
+    // With no search terms, favorites come first and then the most recently updated.
+    getPaletteResults(text) {
+        const query = this.parseSearchQuery(text);
+        return [...this.passwords, ...this.sharedEntries]
+            .filter(entry => this.matchesQueryFilters(entry, query))
+            .map(entry => ({
+                entry,
+                score: query.terms.length ? this.scoreEntry(entry, query.terms) : Number(Boolean(entry.favorite))
+            }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score || (b.entry.updatedAt || '').localeCompare(a.entry.updatedAt || ''))
+            .slice(0, PALETTE_MAX_RESULTS)
+            .map(result => result.entry);
+    }
+
+    updatePaletteResults() {
+        this.paletteResults = this.getPaletteResults(document.getElementById('palette-search').value);
+        this.paletteIndex = 0;
+        this.renderPaletteResults();
+    }
+
+    renderPaletteResults() {
+        const list = document.getElementById('palette-results');
+        list.innerHTML = this.paletteResults.length === 0
+            ? '<li class="history-empty">No matching entries</li>'
+            : this.paletteResults.map((entry, index) => `
+                <li class="palette-item ${index === this.paletteIndex ? 'active' : ''}" data-index="${index}">
+                    <i class="fas ${this.getItemType(entry).icon}"></i>
+                    <div class="palette-text">
+                        <strong>${this.escapeHtml(entry.website)}</strong>
+                        <span>${this.escapeHtml(this.describeItem(entry) || '')}</span>
+                    </div>
+                    <div class="palette-actions">
+                        ${entry.username ? '<button type="button" class="copy-btn" data-action="username" title="Copy username (Shift+Enter)"><i class="fas fa-user"></i></button>' : ''}
+                        ${entry.password ? '<button type="button" class="copy-btn" data-action="password" title="Copy password (Enter)"><i class="fas fa-key"></i></button>' : ''}
+                        ${entry.totp ? '<button type="button" class="copy-btn" data-action="totp" title="Copy one-time code (Alt+Enter)"><i class="fas fa-clock"></i></button>' : ''}
+                        ${this.getEntryUrl(entry) ? '<button type="button" class="copy-btn" data-action="open" title="Open site (Ctrl+Enter)"><i class="fas fa-external-link-alt"></i></button>' : ''}
+                    </div>
+                </li>
+            `).join('');
+        list.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    movePaletteSelection(step) {
+        if (this.paletteResults.length === 0) return;
+        this.paletteIndex = (this.paletteIndex + step + this.paletteResults.length) % this.paletteResults.length;
+        this.renderPaletteResults();
+    }
+
+    // action: 'password', 'username', 'totp' or 'open'; the palette closes once it has run
+    async runPaletteAction(index, action) {
+        const entry = this.paletteResults[index];
+        if (!entry) return;
+
+        this.closeCommandPalette();
+        if (action === 'open') {
+            this.openEntryWebsite(entry.id);
+        } else {
+            await this.copyEntryField(entry.id, action);
+        }
+    }
+
+    // Folders, Tags & Favorites
+    // Folders are '/'-separated paths stored on each entry; the per-user list only keeps empty ones alive
+    loadFolders() {
+        return this.storage.get(`folders_${this.currentUser.id}`, []);
+    }
+
+    saveFolders(folders) {
+        this.storage.set(`folders_${this.currentUser.id}`, [...new Set(folders)].sort());
+    }
+
+    normalizeFolderPath(path) {
+        return (path || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+    }
+
+    // Every known folder plus its ancestors, sorted so children follow their parent
+    getFolders() {
+        const folders = new Set();
+        [...this.loadFolders(), ...this.passwords.map(pwd => pwd.folder)].forEach(path => {
+            const parts = (path || '').split('/').filter(Boolean);
+            parts.forEach((part, index) => folders.add(parts.slice(0, index + 1).join('/')));
+        });
+        return [...folders].sort((a, b) => a.localeCompare(b));
+    }
+
+    isInFolder(entryFolder, folder) {
+        return entryFolder === folder || (entryFolder || '').startsWith(`${folder}/`);
+    }
+
+    createFolder(path) {
+        const folder = this.normalizeFolderPath(path);
+        if (!folder) {
+            return { success: false, message: 'Folder name cannot be empty' };
+        }
+        if (this.getFolders().includes(folder)) {
+            return { success: false, message: 'That folder already exists' };
+        }
+
+        this.saveFolders([...this.loadFolders(), folder]);
+        this.updatePasswordsTable();
+        return { success: true, message: `Folder "${folder}" created` };
+    }
+
+    renameFolder(folder, newName) {
+        const name = (newName || '').trim();
+        if (!name || name.includes('/')) {
+            return { success: false, message: 'Folder names cannot be empty or contain "/"' };
+        }
+
+        const parent = folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/') + 1) : '';
+        const renamed = parent + name;
+        if (renamed === folder) {
+            return { success: true, message: 'Folder unchanged' };
+        }
+        if (this.getFolders().includes(renamed)) {
+            return { success: false, message: 'A folder with that name already exists' };
+        }
+
+        const rename = path => this.isInFolder(path, folder) ? renamed + path.slice(folder.length) : path;
+        const now = new Date().toISOString();
+        let moved = 0;
+        this.passwords.forEach(pwd => {
+            if (this.isInFolder(pwd.folder, folder)) {
+                pwd.folder = rename(pwd.folder);
+                pwd.updatedAt = now;
+                moved++;
+            }
+        });
+
+        // Trashed entries follow too, so restoring one doesn't bring the old folder back
+        const trash = this.loadTrash();
+        if (trash.some(entry => this.isInFolder(entry.folder, folder))) {
+            this.saveTrash(trash.map(entry => this.isInFolder(entry.folder, folder) ? { ...entry, folder: rename(entry.folder) } : entry));
+        }
+
+        this.saveFolders(this.loadFolders().map(rename));
+        this.savePasswords();
+        if (this.activeFilter.type === 'folder') {
+            this.activeFilter.value = rename(this.activeFilter.value);
+        }
+        this.updatePasswordsTable();
+        return { success: true, message: `Folder renamed; ${moved} entries updated` };
+    }
+
+    // Entries in the folder or any subfolder move up to the folder's parent
+    deleteFolder(folder) {
+        const parent = folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/')) : '';
+        const now = new Date().toISOString();
+        let moved = 0;
+        this.passwords.forEach(pwd => {
+            if (this.isInFolder(pwd.folder, folder)) {
+                pwd.folder = parent;
+                pwd.updatedAt = now;
+                moved++;
+            }
+        });
+
+        const trash = this.loadTrash();
+        if (trash.some(entry => this.isInFolder(entry.folder, folder))) {
+            this.saveTrash(trash.map(entry => this.isInFolder(entry.folder, folder) ? { ...entry, folder: parent } : entry));
+        }
+
+        this.saveFolders(this.loadFolders().filter(path => !this.isInFolder(path, folder)));
+        this.savePasswords();
+        if (this.activeFilter.type === 'folder' && this.isInFolder(this.activeFilter.value, folder)) {
+            this.activeFilter = parent ? { type: 'folder', value: parent } : { type: 'all', value: '' };
+        }
+        this.updatePasswordsTable();
+        return { success: true, message: `Folder deleted; ${moved} entries moved to ${parent || 'No folder'}` };
+    }
+
+    // Comma-separated input; duplicates differing only in case are dropped
+    parseTags(text) {
+        const tags = [];
+        (text || '').split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+            if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        return tags;
+    }
+
+    getTags() {
+        const tags = new Map();
+        this.passwords.forEach(pwd => (pwd.tags || []).forEach(tag => {
+            const key = tag.toLowerCase();
+            tags.set(key, { name: tags.get(key)?.name || tag, count: (tags.get(key)?.count || 0) + 1 });
+        }));
+        return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    toggleFavorite(id) {
+        const entry = this.passwords.find(pwd => pwd.id === id);
+        if (!entry) return;
+
+        entry.favorite = !entry.favorite;
+        this.savePasswords();
+        this.updatePasswordsTable();
+    }
+
+    matchesFilter(entry) {
+        const { type, value } = this.activeFilter;
+        if (type === 'favorites') return Boolean(entry.favorite);
+        if (type === 'folder') return this.isInFolder(entry.folder, value);
+        if (type === 'tag') return (entry.tags || []).some(tag => tag.toLowerCase() === value.toLowerCase());
+        return true;
+    }
+
+    setFilter(type, value = '') {
+        this.activeFilter = { type, value };
+        this.selectedIds.clear();
+        this.updatePasswordsTable();
+    }
+
+    updateSidebar() {
+        const sidebar = document.getElementById('passwords-sidebar');
+        if (!sidebar) return;
+
+        const { type, value } = this.activeFilter;
+        const item = (filterType, filterValue, icon, label, count, extra = '') => `
+            <li class="filter-item ${type === filterType && value === filterValue ? 'active' : ''}"
+                data-filter="${filterType}" data-value="${this.escapeHtml(filterValue)}">
+                <i class="fas ${icon}"></i>
+                <span class="filter-label">${this.escapeHtml(label)}</span>
+                <span class="filter-count">${count}</span>
+                ${extra}
+            </li>
+        `;
+
+        const folders = this.getFolders().map(folder => {
+            const depth = folder.split('/').length - 1;
+            const count = this.passwords.filter(pwd => this.isInFolder(pwd.folder, folder)).length;
+            const actions = `
+                <span class="folder-actions">
+                    <button data-action="rename-folder" title="Rename folder"><i class="fas fa-pen"></i></button>
+                    <button data-action="delete-folder" title="Delete folder"><i class="fas fa-trash"></i></button>
+                </span>
+            `;
+            return item('folder', folder, 'fa-folder', folder.split('/').pop(), count, actions)
+                .replace('class="filter-item', `style="padding-left: ${12 + depth * 16}px;" class="filter-item`);
+        }).join('');
+
+        const tags = this.getTags().map(tag => item('tag', tag.name, 'fa-tag', tag.name, tag.count)).join('');
+
+        sidebar.innerHTML = `
+            <ul class="filter-list">
+                ${item('all', '', 'fa-layer-group', 'All Items', this.passwords.length)}
+                ${item('favorites', '', 'fa-star', 'Favorites', this.passwords.filter(pwd => pwd.favorite).length)}
+                ${item('shared', '', 'fa-user-friends', 'Shared with me', this.sharedEntries.length)}
+                ${item('trash', '', 'fa-trash', 'Trash', this.loadTrash().length, `
+                    <span class="folder-actions">
+                        <button data-action="empty-trash" title="Empty trash"><i class="fas fa-times"></i></button>
+                    </span>
+                `)}
+            </ul>
+            <div class="sidebar-heading">
+                <span>Folders</span>
+                <button data-action="new-folder" title="New folder"><i class="fas fa-folder-plus"></i></button>
+            </div>
+            <ul class="filter-list">${folders || '<li class="filter-empty">No folders yet</li>'}</ul>
+            <div class="sidebar-heading"><span>Tags</span></div>
+            <ul class="filter-list">${tags || '<li class="filter-empty">No tags yet</li>'}</ul>
+        `;
+    }
+
+    handleSidebarClick(e) {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const item = e.target.closest('.filter-item');
+
+        if (action === 'new-folder') {
+            const parent = this.activeFilter.type === 'folder' ? `${this.activeFilter.value}/` : '';
+            const name = prompt('Folder name (use "/" to nest, e.g. Work/Clients):', parent);
+            if (name !== null) {
+                const result = this.createFolder(name);
+                this.showMessage(result.message, result.success ? 'success' : 'error');
+            }
+        } else if (action === 'rename-folder') {
+            const folder = item.dataset.value;
+            const name = prompt('Rename folder:', folder.split('/').pop());
+            if (name !== null) {
+                const result = this.renameFolder(folder, name);
+                this.showMessage(result.message, result.success ? 'success' : 'error');
+            }
+        } else if (action === 'delete-folder') {
+            const folder = item.dataset.value;
+            if (confirm(`Delete folder "${folder}" and its subfolders? Entries inside will be kept.`)) {
+                this.showMessage(this.deleteFolder(folder).message, 'success');
+            }
+        } else if (action === 'empty-trash') {
+            this.emptyTrash();
+        } else if (item) {
+            this.setFilter(item.dataset.filter, item.dataset.value);
+        }
+    }
+
+    folderOptions() {
+        return '<option value="">No folder</option>' + this.getFolders()
+            .map(folder => `<option value="${this.escapeHtml(folder)}">${this.escapeHtml(folder.replace(/\//g, ' / '))}</option>`)
+            .join('');
+    }
+
+    // Bulk Actions
+    toggleSelected(id, selected) {
+        if (selected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        this.updatePasswordsTable();
+    }
+
+    toggleSelectAll(selected) {
+        this.selectedIds.clear();
+        if (selected) {
+            this.getVisibleEntries().filter(pwd => !pwd.shared && !pwd.deletedAt).forEach(pwd => this.selectedIds.add(pwd.id));
+        }
+        this.updatePasswordsTable();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.updatePasswordsTable();
+    }
+
+    updateBulkBar(visibleCount) {
+        const bar = document.getElementById('bulk-bar');
+        if (!bar) return;
+
+        const count = this.selectedIds.size;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        document.getElementById('bulk-count').textContent = `${count} selected`;
+        document.getElementById('select-all-entries').checked = count > 0 && count === visibleCount;
+
+        const folderSelect = document.getElementById('bulk-folder');
+        const current = folderSelect.value;
+        folderSelect.innerHTML = this.folderOptions();
+        folderSelect.value = current;
+    }
+
+    bulkMove() {
+        const folder = document.getElementById('bulk-folder').value;
+        const now = new Date().toISOString();
+        const entries = this.passwords.filter(pwd => this.selectedIds.has(pwd.id));
+        entries.forEach(pwd => {
+            pwd.folder = folder;
+            pwd.updatedAt = now;
+        });
+
+        this.savePasswords();
+        this.selectedIds.clear();
+        this.updatePasswordsTable();
+        this.showMessage(`Moved ${entries.length} entries to ${folder || 'No folder'}`, 'success');
+    }
+
+    bulkAddTag() {
+        const input = document.getElementById('bulk-tag');
+        const tags = this.parseTags(input.value);
+        if (tags.length === 0) {
+            this.showMessage('Enter a tag to add', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const entries = this.passwords.filter(pwd => this.selectedIds.has(pwd.id));
+        entries.forEach(pwd => {
+            pwd.tags = this.parseTags([...(pwd.tags || []), ...tags].join(','));
+            pwd.updatedAt = now;
+        });
+
+        input.value = '';
+        this.savePasswords();
+        this.updatePasswordsTable();
+        this.showMessage(`Tagged ${entries.length} entries`, 'success');
+    }
+
+    bulkDelete() {
+        this.moveToTrash([...this.selectedIds]);
+    }
+
+    // Trash
+    // Deleted entries keep their encrypted form under trash_<userId> until restored or purged. The trash is
+    // local: sync removes the entry on other devices. Its shares stay until it is purged, so a restore keeps them.
+    loadTrash() {
+        return this.storage.get(`trash_${this.currentUser.id}`, []);
+    }
+
+    saveTrash(trash) {
+        this.storage.set(`trash_${this.currentUser.id}`, trash);
+    }
+
+    moveToTrash(ids) {
+        if (!this.isAuthenticated) {
+            this.showMessage('User not authenticated!', 'error');
+            return;
+        }
+
+        const entries = this.passwords.filter(pwd => ids.includes(pwd.id));
+        if (entries.length === 0) return;
+
+        const deletedAt = new Date().toISOString();
+        this.saveTrash([...entries.map(entry => ({ ...entry, deletedAt })), ...this.loadTrash()]);
+        this.passwords = this.passwords.filter(pwd => !ids.includes(pwd.id));
+        entries.forEach(entry => {
+            this.selectedIds.delete(entry.id);
+            this.logActivity(this.currentUser.id, 'delete', entry.website);
+        });
+        this.savePasswords();
+        this.updatePasswordsTable();
+        this.updateDashboard();
+
+        const restoreIds = entries.map(entry => entry.id);
+        this.showMessage(
+            entries.length === 1 ? `${entries[0].website} moved to Trash` : `${entries.length} entries moved to Trash`,
+            'success', 'main', { label: 'Undo', run: () => this.restoreFromTrash(restoreIds) }
+        );
+    }
+
+    restoreFromTrash(ids) {
+        // An Undo clicked after locking must not write into the cleared vault
+        if (!this.isAuthenticated) return;
+
+        const trash = this.loadTrash();
+        const restored = trash.filter(entry => ids.includes(entry.id));
+        if (restored.length === 0) return;
+
+        const now = new Date().toISOString();
+        restored.forEach(({ deletedAt, ...entry }) => {
+            this.passwords.push({ ...entry, updatedAt: now });
+            this.logActivity(this.currentUser.id, 'trash-restore', entry.website);
+        });
+        this.saveTrash(trash.filter(entry => !ids.includes(entry.id)));
+        this.savePasswords();
+        this.updatePasswordsTable();
+        this.updateDashboard();
+        this.showMessage(restored.length === 1 ? `${restored[0].website} restored` : `Restored ${restored.length} entries`, 'success');
+    }
+
+    // Permanent, so it asks first
+    purgeFromTrash(ids) {
+        if (!this.isAuthenticated || !this.vaultKey) return;
+
+        const trash = this.loadTrash();
+        const purged = trash.filter(entry => ids.includes(entry.id));
+        if (purged.length === 0) return;
+
+        const subject = purged.length === 1 ? `"${purged[0].website}"` : `${purged.length} entries`;
+        if (!confirm(`Permanently delete ${subject}? This cannot be undone.`)) return;
+
+        this.saveTrash(trash.filter(entry => !ids.includes(entry.id)));
+        purged.forEach(entry => this.logActivity(this.currentUser.id, 'purge', entry.website));
+        this.refreshOutgoingShares().catch(error => console.error('Updating shares failed:', error));
+        this.updatePasswordsTable();
+        this.showMessage(`Permanently deleted ${subject}`, 'success');
+    }
+
+    emptyTrash() {
+        const trash = this.loadTrash();
+        if (trash.length === 0) {
+            this.showMessage('Trash is already empty', 'warning');
+            return;
+        }
+        this.purgeFromTrash(trash.map(entry => entry.id));
+    }
+
+    // Runs on unlock and when the retention setting changes
+    purgeExpiredTrash() {
+        const { trashRetentionDays } = this.getSettings();
+        if (!trashRetentionDays) return;
+
+        const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+        const trash = this.loadTrash();
+        const kept = trash.filter(entry => new Date(entry.deletedAt).getTime() > cutoff);
+        if (kept.length === trash.length) return;
+
+        trash.filter(entry => !kept.includes(entry)).forEach(entry => {
+            this.logActivity(this.currentUser.id, 'purge', `${entry.website} (expired)`);
+        });
+        this.saveTrash(kept);
+        this.refreshOutgoingShares().catch(error => console.error('Updating shares failed:', error));
+    }
+
+    describeTrashExpiry(entry) {
+        const deleted = `Deleted ${new Date(entry.deletedAt).toLocaleDateString()}`;
+        const { trashRetentionDays } = this.getSettings();
+        if (!trashRetentionDays) return deleted;
+
+        const purgeAt = new Date(entry.deletedAt).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000;
+        const days = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+        return `${deleted} · purged in ${days} day${days === 1 ? '' : 's'}`;
+    }
+
+    // Security Report
+    scheduleSecurityReport() {
+        clearTimeout(this.auditTimer);
+        this.auditTimer = setTimeout(() => this.updateSecurityReport(), SECURITY_REPORT_DELAY_MS);
+    }
+
+    async updateSecurityReport() {
+        clearTimeout(this.auditTimer);
+        if (!this.vaultKey) return;
+
+        const run = ++this.auditRun;
+        const report = await this.auditVault();
+        if (run !== this.auditRun || !this.vaultKey) return;
+
+        const score = report.score === null ? '—' : `${report.score}%`;
+        document.getElementById('security-score').textContent = score;
+        document.getElementById('report-score').textContent = score;
+        document.getElementById('report-breached-count').textContent = report.breached.length;
+        document.getElementById('report-weak-count').textContent = report.weak.length;
+        document.getElementById('report-reused-count').textContent = report.reused.length;
+        document.getElementById('report-stale-count').textContent = report.stale.length;
+        document.getElementById('report-username-count').textContent = report.missingUsername.length;
+
+        const staleMonths = this.getSettings().staleMonths;
+        const groups = [
+            {
+                title: 'Compromised passwords',
+                icon: 'fa-exclamation-triangle',
+                findings: report.breached,
+                describe: ({ count }) => `Seen ${count.toLocaleString()} times in known data breaches. Change it now.`
+            },
+            {
+                title: 'Weak passwords',
+                icon: 'fa-unlock-alt',
+                findings: report.weak,
+                describe: ({ strength }) => [`${strength.label} · ~${Math.round(strength.entropy)} bits`, ...strength.warnings].join(' · ')
+            },
+            {
+                title: 'Reused passwords',
+                icon: 'fa-clone',
+                findings: report.reused,
+                describe: ({ count }) => `Same password used by ${count} entries`
+            },
+            {
+                title: `Not changed in ${staleMonths} months`,
+                icon: 'fa-hourglass-end',
+                findings: report.stale,
+                describe: ({ changedAt }) => `Last changed ${changedAt.toLocaleDateString()}`
+            },
+            {
+                title: 'Missing username',
+                icon: 'fa-user-slash',
+                findings: report.missingUsername,
+                describe: () => 'No username saved for this entry'
+            }
+        ];
+
+        const container = document.getElementById('security-findings');
+        container.replaceChildren();
+
+        if (groups.every(group => group.findings.length === 0)) {
+            const empty = document.createElement('p');
+            empty.className = 'report-empty';
+            empty.textContent = this.passwords.length === 0 ? 'Add passwords to see your security report' : 'No issues found. Nice work!';
+            container.appendChild(empty);
+            return;
+        }
+
+        groups.filter(group => group.findings.length > 0).forEach(group => {
+            const section = document.createElement('div');
+            section.className = 'report-group';
+
+            const heading = document.createElement('h3');
+            heading.innerHTML = `<i class="fas ${group.icon}"></i> `;
+            heading.append(`${group.title} (${group.findings.length})`);
+            section.appendChild(heading);
+
+            group.findings.forEach(finding => {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'report-item';
+                link.addEventListener('click', () => this.showEntry(finding.entry.id));
+
+                const name = document.createElement('strong');
+                name.textContent = finding.entry.username
+                    ? `${finding.entry.website} · ${finding.entry.username}`
+                    : finding.entry.website;
+                const detail = document.createElement('span');
+                detail.textContent = group.describe(finding);
+
+                link.append(name, detail);
+                section.appendChild(link);
+            });
+
+            container.appendChild(section);
+        });
+    }
+
+    // Breach Check (k-anonymity: only the first 5 hex chars of each SHA-1 hash leave the browser)
+    async fetchBreachRange(prefix) {
+        const response = await fetch(`${this.getSettings().breachEndpoint}${prefix}`, {
+            headers: { 'Add-Padding': 'true' } // Pads responses so their size doesn't hint at the prefix
+        });
+        if (!response.ok) {
+            throw new Error(`Range request failed with status ${response.status}`);
+        }
+
+        // Each line is "SUFFIX:COUNT"; padding lines have a count of 0
+        const counts = new Map();
+        (await response.text()).split('\n').forEach(line => {
+            const [suffix, count] = line.trim().split(':');
+            if (suffix && Number(count) > 0) {
+                counts.set(suffix.toUpperCase(), Number(count));
+            }
+        });
+        return counts;
+    }
+
+    async checkBreaches() {
+        const entries = this.passwords.filter(entry => entry.password);
+        if (!this.vaultKey || entries.length === 0) {
+            this.showMessage('No passwords to check!', 'error');
+            return;
+        }
+
+        const button = document.getElementById('breach-check-btn');
+        button.classList.add('loading');
+
+        // The vault can lock while the ranges are fetched; results then belong to no open vault. Edits, deletes
+        // and imports meanwhile are fine: results are matched back by id, and only to an unchanged password
+        const userId = this.currentUser.id;
+        const stillOpen = () => this.isAuthenticated && this.currentUser?.id === userId;
+        const cancel = () => {
+            if (this.currentUser?.id === userId) {
+                this.showMessage('Breach check cancelled because the vault was locked', 'warning', 'lock');
+            }
+        };
+
+        try {
+            // Group entries by hash prefix so each range is requested once
+            const byPrefix = new Map();
+            for (const entry of entries) {
+                const hash = await this.digestHex('SHA-1', await this.decryptPassword(entry.password));
+                const prefix = hash.slice(0, 5);
+                if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+                byPrefix.get(prefix).push({ id: entry.id, password: entry.password.data, suffix: hash.slice(5) });
+            }
+
+            const results = new Map();
+            for (const [prefix, items] of byPrefix) {
+                const counts = await this.fetchBreachRange(prefix);
+                if (!stillOpen()) {
+                    cancel();
+                    return;
+                }
+                items.forEach(({ id, password, suffix }) => results.set(id, { password, count: counts.get(suffix) || 0 }));
+            }
+
+            const checkedAt = new Date().toISOString();
+            this.passwords.forEach(entry => {
+                const result = results.get(entry.id);
+                if (result && entry.password?.data === result.password) {
+                    entry.breach = { count: result.count, checkedAt };
+                }
+            });
+            this.savePasswords();
+            this.updatePasswordsTable();
+            this.updateDashboard();
+
+            const compromised = this.passwords.filter(entry => entry.breach?.count).length;
+            this.showMessage(
+                compromised === 0
+                    ? 'Breach check complete: no compromised passwords found'
+                    : `Breach check complete: ${compromised} compromised password${compromised === 1 ? '' : 's'} found`,
+                compromised === 0 ? 'success' : 'error'
+            );
+        } catch (error) {
+            if (stillOpen()) {
+                this.showMessage(`Breach check failed: ${error.message}`, 'error');
+            } else {
+                cancel();
+            }
+        } finally {
+            button.classList.remove('loading');
+        }
+    }
+
+    // Jump from a report finding to the entry itself
+    showEntry(id) {
+        this.showSection('passwords');
+        this.showEditPasswordModal(id);
+    }
+
+    // Modal Management
+    showAddPasswordModal() {
+        // New entries start in the folder currently being viewed
+        if (this.editingId === null) {
+            document.getElementById('new-type').disabled = false;
+            this.setItemType(document.getElementById('new-type').value);
+            document.getElementById('new-folder').innerHTML = this.folderOptions();
+            document.getElementById('new-folder').value = this.activeFilter.type === 'folder' ? this.activeFilter.value : '';
+            document.getElementById('new-favorite').checked = this.activeFilter.type === 'favorites';
+        }
+        document.getElementById('add-password-modal').style.display = 'block';
+        document.getElementById('new-website').focus();
+    }
+
+    // The add modal doubles as the edit modal, prefilled from the entry
+    async showEditPasswordModal(id) {
+        const entry = this.findEntry(id);
+        if (!entry) return;
+
+        this.editingId = id;
+        const type = ITEM_TYPES[entry.type] ? entry.type : 'login';
+        document.getElementById('new-type').value = type;
+        document.getElementById('new-type').disabled = true; // Fields don't carry over between types
+        this.setItemType(type, await this.decryptFields(type, entry.fields));
+        (await this.decryptCustomFields(entry.customFields)).forEach(field => this.addCustomFieldRow(field));
+        this.getEntryUrls(entry).forEach(rule => this.addUrlRow(rule));
+        document.getElementById('new-website').value = entry.website;
+        document.getElementById('new-username').value = entry.username;
+        document.getElementById('new-password').value = entry.password ? await this.decryptPassword(entry.password) : '';
+        document.getElementById('new-totp').value = entry.totp
+            ? this.buildOtpauthUri(JSON.parse(await this.decryptPassword(entry.totp)), entry)
+            : '';
+        document.getElementById('new-folder').innerHTML = this.folderOptions();
+        document.getElementById('new-folder').value = entry.folder || '';
+        document.getElementById('new-tags').value = (entry.tags || []).join(', ');
+        document.getElementById('new-favorite').checked = Boolean(entry.favorite);
+        // Folders, tags and favorites belong to the owner's vault, not to a shared copy
+        document.querySelectorAll('[data-own-only]').forEach(element => {
+            element.style.display = entry.shared ? 'none' : '';
+        });
+        this.showAddPasswordModal();
+    }
+
+    closeAddPasswordModal() {
+        document.getElementById('add-password-modal').style.display = 'none';
+        document.getElementById('add-password-form').reset();
+        document.getElementById('password-modal-title').textContent = 'Add New Password';
+        document.getElementById('password-modal-submit').textContent = 'Save Password';
+        document.getElementById('custom-fields').innerHTML = '';
+        document.getElementById('url-rules').innerHTML = '';
+        document.querySelectorAll('[data-own-only]').forEach(element => {
+            element.style.display = '';
+        });
+        this.editingId = null;
+    }
+
+    // Swaps the add/edit form over to a type's fields; values are plaintext
+    setItemType(type, values = {}) {
+        const itemType = ITEM_TYPES[type] || ITEM_TYPES.login;
+        const editing = this.editingId !== null;
+        document.getElementById('password-modal-title').textContent = `${editing ? 'Edit' : 'Add New'} ${itemType.noun}`;
+        document.getElementById('password-modal-submit').textContent = `${editing ? 'Update' : 'Save'} ${itemType.noun}`;
+        document.getElementById('new-website-label').textContent = itemType.titleLabel;
+
+        ['username', 'password', 'totp', 'urls'].forEach(key => {
+            const group = document.querySelector(`[data-item-field="${key}"]`);
+            group.style.display = itemType[key] ? '' : 'none';
+            if (key === 'username' || key === 'password') {
+                group.querySelectorAll('input').forEach(input => {
+                    input.required = Boolean(itemType[key]);
+                });
+            }
+        });
+
+        const container = document.getElementById('type-fields');
+        container.innerHTML = '';
+        itemType.fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `field-${field.key}`;
+            label.textContent = field.label;
+
+            let input;
+            if (field.input === 'select') {
+                input = document.createElement('select');
+                field.options.forEach(option => input.add(new Option(option, option)));
+            } else if (field.input === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = 4;
+            } else {
+                input = document.createElement('input');
+                input.type = field.hidden ? 'password' : 'text';
+                input.autocomplete = 'off';
+            }
+            input.id = `field-${field.key}`;
+            input.dataset.fieldKey = field.key;
+            input.placeholder = field.placeholder || '';
+            if (values[field.key]) input.value = values[field.key];
+
+            group.append(label, input);
+            container.appendChild(group);
+        });
+    }
+
+    addCustomFieldRow(field = { name: '', type: 'text', value: '' }) {
+        const row = document.createElement('div');
+        row.className = 'custom-field-row';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'custom-field-name-input';
+        name.placeholder = 'Name';
+        name.value = field.name;
+
+        const type = document.createElement('select');
+        type.className = 'custom-field-type';
+        Object.entries(CUSTOM_FIELD_TYPES).forEach(([value, label]) => type.add(new Option(label, value)));
+        type.value = field.type;
+
+        const value = document.createElement('input');
+        value.type = field.type === 'hidden' ? 'password' : 'text';
+        value.className = 'custom-field-value';
+        value.placeholder = 'Value';
+        value.autocomplete = 'off';
+        value.value = field.value;
+        type.addEventListener('change', () => {
+            value.type = type.value === 'hidden' ? 'password' : 'text';
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'action-btn-small delete-btn';
+        remove.title = 'Remove field';
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(name, type, value, remove);
+        document.getElementById('custom-fields').appendChild(row);
+    }
+
+    addUrlRow(rule = { url: '', match: 'domain' }) {
+        const row = document.createElement('div');
+        row.className = 'custom-field-row url-rule-row';
+
+        const url = document.createElement('input');
+        url.type = 'text';
+        url.className = 'url-rule-url';
+        url.placeholder = 'https://example.com';
+        url.spellcheck = false;
+        url.value = rule.url;
+
+        const match = document.createElement('select');
+        match.className = 'url-rule-match';
+        Object.entries(URL_MATCH_RULES).forEach(([value, label]) => match.add(new Option(label, value)));
+        match.value = rule.match;
+        const updatePlaceholder = () => {
+            url.placeholder = match.value === 'regex' ? '^https://(www\\.)?example\\.com/' : 'https://example.com';
+        };
+        match.addEventListener('change', updatePlaceholder);
+        updatePlaceholder();
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'action-btn-small delete-btn';
+        remove.title = 'Remove URL';
+        remove.appendChild(this.createIcon('fa-times'));
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(url, match, remove);
+        document.getElementById('url-rules').appendChild(row);
+    }
+
+    // Type fields and custom fields as entered in the add/edit form
+    readItemForm() {
+        const fields = {};
+        document.querySelectorAll('#type-fields [data-field-key]').forEach(input => {
+            fields[input.dataset.fieldKey] = input.value.trim();
+        });
+
+        const customFields = [...document.querySelectorAll('#custom-fields .custom-field-row')]
+            .map(row => ({
+                name: row.querySelector('.custom-field-name-input').value.trim(),
+                type: row.querySelector('.custom-field-type').value,
+                value: row.querySelector('.custom-field-value').value
+            }))
+            .filter(field => field.name || field.value);
+
+        const type = document.getElementById('new-type').value;
+        // Unreadable URLs and invalid patterns come back as url: null for the caller to reject
+        const urls = [...document.querySelectorAll('#url-rules .url-rule-row')]
+            .map(row => ({ text: row.querySelector('.url-rule-url').value.trim(), match: row.querySelector('.url-rule-match').value }))
+            .filter(rule => rule.text)
+            .map(({ text, match }) => ({ url: match === 'regex' ? this.validRegex(text) : this.normalizeUrl(text), match }));
+
+        return { type, fields, customFields, urls: ITEM_TYPES[type]?.urls ? urls : undefined };
+    }
+
+    showPasswordHistory(id) {
+        const entry = this.passwords.find(pwd => pwd.id === id);
+        if (!entry) return;
+
+        const history = entry.history || [];
+        document.getElementById('history-entry-name').textContent = `${entry.website} · ${entry.username}`;
+        document.getElementById('history-list').replaceChildren(...(history.length === 0
+            ? [this.createElement('li', { className: 'history-empty' }, 'No previous passwords')]
+            : history.map((version, index) => this.createElement('li', { className: 'history-item', dataset: { id: entry.id, index } },
+                this.renderMaskedField(entry, { historyIndex: index }),
+                this.createElement('span', { className: 'history-date' }, `Replaced ${new Date(version.changedAt).toLocaleString()}`),
+                this.createElement('button', { type: 'button', className: 'action-btn-small restore-btn', dataset: { action: 'restore-version' } },
+                    this.createIcon('fa-undo'), ' Restore')
+            ))));
+
+        document.getElementById('history-modal').style.display = 'block';
+    }
+
+    closeHistoryModal() {
+        document.getElementById('history-modal').style.display = 'none';
+        document.getElementById('history-list').innerHTML = '';
+    }
+
+    // TOTP Authenticator
+    async getTotpCode(entry, time = Date.now()) {
+        const cached = this.totpCache.get(entry.id);
+        if (cached && cached.counter === Math.floor(time / 1000 / cached.period)) {
+            return cached;
+        }
+
+        const config = JSON.parse(await this.decryptPassword(entry.totp));
+        const code = {
+            code: await this.generateTotp(config, time),
+            counter: Math.floor(time / 1000 / config.period),
+            period: config.period
+        };
+        this.totpCache.set(entry.id, code);
+        return code;
+    }
+
+    async refreshTotpCodes() {
+        const now = Date.now();
+        for (const field of document.querySelectorAll('.totp-field')) {
+            const entry = this.findEntry(Number(field.dataset.id));
+            if (!entry?.totp || !this.vaultKey) continue;
+
+            const { code, period } = await this.getTotpCode(entry, now);
+            const remaining = period - (Math.floor(now / 1000) % period);
+            const half = code.length / 2;
+
+            field.querySelector('.totp-code').textContent = `${code.slice(0, half)} ${code.slice(half)}`;
+            field.querySelector('.totp-ring-progress').style.strokeDashoffset =
+                TOTP_RING_CIRCUMFERENCE * (1 - remaining / period);
+            field.classList.toggle('expiring', remaining <= 5);
+            field.title = `Expires in ${remaining}s`;
+        }
+    }
+
+    startTotpTimer() {
+        this.stopTotpTimer();
+        this.totpTimer = setInterval(() => this.refreshTotpCodes(), 1000);
+    }
+
+    stopTotpTimer() {
+        clearInterval(this.totpTimer);
+        this.totpTimer = null;
+        this.totpCache.clear();
+    }
+
+    // Two-Factor Authentication (for signing in to SecurePass itself; enrollment and codes are managed by VaultCore)
+    updateTwoFactorSettings() {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        const enabled = Boolean(user && user.twoFactor);
+
+        document.getElementById('two-factor-status').textContent = enabled
+            ? `Enabled \u2014 ${user.twoFactor.backupCodes.length} backup codes left`
+            : 'Require a code from an authenticator app when signing in';
+        document.getElementById('two-factor-enable-btn').style.display = enabled ? 'none' : '';
+        document.getElementById('two-factor-codes-btn').style.display = enabled ? '' : 'none';
+        document.getElementById('two-factor-disable-btn').style.display = enabled ? '' : 'none';
+    }
+
+    showTwoFactorSetupModal() {
+        const { secret, uri } = this.startTwoFactorEnrollment();
+        document.getElementById('two-factor-modal-title').textContent = 'Set Up Two-Factor Authentication';
+        document.getElementById('two-factor-uri').value = uri;
+        document.getElementById('two-factor-secret').value = secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('two-factor-setup-form').style.display = 'block';
+        document.getElementById('two-factor-backup-codes').style.display = 'none';
+        document.getElementById('two-factor-modal').style.display = 'block';
+        document.getElementById('two-factor-setup-code').focus();
+    }
+
+    showBackupCodes(codes) {
+        const list = document.getElementById('backup-code-list');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        document.getElementById('two-factor-modal-title').textContent = 'Backup Codes';
+        document.getElementById('two-factor-setup-form').style.display = 'none';
+        document.getElementById('two-factor-backup-codes').style.display = 'block';
+        document.getElementById('two-factor-modal').style.display = 'block';
+    }
+
+    downloadBackupCodes() {
+        const codes = Array.from(document.querySelectorAll('#backup-code-list li'), item => item.textContent);
+        this.downloadFile(
+            'securepass-backup-codes.txt',
+            `SecurePass backup codes for ${this.currentUser.email}\nEach code can be used once.\n\n${codes.join('\n')}\n`,
+            'text/plain'
+        );
+    }
+
+    closeTwoFactorModal() {
+        this.pendingTwoFactor = null;
+        document.getElementById('two-factor-modal').style.display = 'none';
+        document.getElementById('two-factor-setup-form').reset();
+        document.getElementById('backup-code-list').innerHTML = '';
+    }
+
+    showTwoFactorPasswordModal(action) {
+        this.twoFactorAction = action;
+        const disabling = action === 'disable';
+        document.getElementById('two-factor-password-title').textContent = disabling
+            ? 'Disable Two-Factor Authentication'
+            : 'Regenerate Backup Codes';
+        document.getElementById('two-factor-password-subtitle').textContent = disabling
+            ? 'Signing in will only need your master password again.'
+            : 'Your current backup codes will stop working.';
+        document.getElementById('two-factor-password-submit').textContent = disabling ? 'Disable 2FA' : 'Generate Codes';
+        document.getElementById('two-factor-password-modal').style.display = 'block';
+        document.getElementById('two-factor-password').focus();
+    }
+
+    closeTwoFactorPasswordModal() {
+        this.twoFactorAction = null;
+        document.getElementById('two-factor-password-modal').style.display = 'none';
+        document.getElementById('two-factor-password-form').reset();
+    }
+
+    // Account Recovery (the reset itself is in VaultCore)
+    updateRecoverySettings() {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        const recovery = user && user.recovery;
+
+        document.getElementById('recovery-status').textContent = recovery
+            ? `Current kit created ${new Date(recovery.createdAt).toLocaleDateString()}`
+            : 'No emergency kit: a forgotten master password cannot be reset';
+        document.getElementById('recovery-kit-btn').textContent = recovery ? 'New Emergency Kit' : 'Create Emergency Kit';
+    }
+
+    showRecoveryKit(recoveryKey, email) {
+        document.getElementById('recovery-kit-email').textContent = email;
+        document.getElementById('recovery-kit-date').textContent = new Date().toLocaleDateString();
+        document.getElementById('recovery-kit-key').textContent = recoveryKey;
+        document.getElementById('recovery-kit-modal').style.display = 'block';
+    }
+
+    closeRecoveryKit() {
+        document.getElementById('recovery-kit-modal').style.display = 'none';
+        document.getElementById('recovery-kit-key').textContent = '';
+    }
+
+    downloadRecoveryKit() {
+        const email = document.getElementById('recovery-kit-email').textContent;
+        const key = document.getElementById('recovery-kit-key').textContent;
+        this.downloadFile(
+            'securepass-emergency-kit.txt',
+            `SecurePass Emergency Kit\n\nAccount: ${email}\nCreated: ${document.getElementById('recovery-kit-date').textContent}\n` +
+            `Recovery key: ${key}\n\nIf you forget your master password, choose "Forgot master password?" on the sign-in page ` +
+            'and enter this key to set a new one. Keep it offline: anyone holding it can reset your master password. ' +
+            'Creating a new kit in Settings makes this key stop working.\n',
+            'text/plain'
+        );
+    }
+
+    // Print styles hide everything but the kit sheet while this class is on the body
+    printRecoveryKit() {
+        document.body.classList.add('printing-recovery-kit');
+        window.print();
+        document.body.classList.remove('printing-recovery-kit');
+    }
+
+    showRecoveryPasswordModal() {
+        document.getElementById('recovery-password-modal').style.display = 'block';
+        document.getElementById('recovery-password').focus();
+    }
+
+    closeRecoveryPasswordModal() {
+        document.getElementById('recovery-password-modal').style.display = 'none';
+        document.getElementById('recovery-password-form').reset();
+    }
+
+    // Password Generation
+    // Quick fill for the add/edit form, using the saved generator options
+    generateRandomPassword() {
+        const result = this.generateSecret(this.getSettings().generator);
+        if (!result.success) {
+            this.showMessage(result.message, 'error');
+            return;
+        }
+        
+        document.getElementById('new-password').value = result.value;
+        document.getElementById('new-password').type = 'text';
+        
+        setTimeout(() => {
+            document.getElementById('new-password').type = 'password';
+        }, 2000);
+    }
+
+    // Generator Modal
+    showGeneratorModal(forPasswordForm = false) {
+        const options = this.getSettings().generator;
+
+        document.querySelector(`input[name="generator-mode"][value="${options.mode}"]`).checked = true;
+        document.getElementById('gen-length').value = options.length;
+        Object.keys(CHARACTER_CLASSES).forEach(name => {
+            document.getElementById(`gen-${name}`).checked = options.classes[name];
+            document.getElementById(`gen-${name}-min`).value = options.minimums[name];
+        });
+        document.getElementById('gen-exclude-similar').checked = options.excludeSimilar;
+        document.getElementById('gen-words').value = options.words;
+        document.getElementById('gen-separator').value = options.separator;
+        document.getElementById('gen-capitalization').value = options.capitalization;
+
+        document.getElementById('generator-use').style.display = forPasswordForm ? 'block' : 'none';
+        document.getElementById('generator-modal').style.display = 'block';
+        this.refreshGenerator();
+    }
+
+    closeGeneratorModal() {
+        document.getElementById('generator-modal').style.display = 'none';
+        document.getElementById('generator-output').value = '';
+    }
+
+    readGeneratorOptions() {
+        const options = {
+            mode: document.querySelector('input[name="generator-mode"]:checked').value,
+            length: Number(document.getElementById('gen-length').value),
+            classes: {},
+            minimums: {},
+            excludeSimilar: document.getElementById('gen-exclude-similar').checked,
+            words: Number(document.getElementById('gen-words').value),
+            separator: document.getElementById('gen-separator').value,
+            capitalization: document.getElementById('gen-capitalization').value
+        };
+        Object.keys(CHARACTER_CLASSES).forEach(name => {
+            options.classes[name] = document.getElementById(`gen-${name}`).checked;
+            options.minimums[name] = Number(document.getElementById(`gen-${name}-min`).value) || 0;
+        });
+        return options;
+    }
+
+    refreshGenerator() {
+        const options = this.readGeneratorOptions();
+        this.updateSettings({ generator: options });
+
+        document.getElementById('gen-length-value').textContent = options.length;
+        document.getElementById('gen-words-value').textContent = options.words;
+        document.getElementById('generator-password-options').style.display = options.mode === 'password' ? 'block' : 'none';
+        document.getElementById('generator-passphrase-options').style.display = options.mode === 'passphrase' ? 'block' : 'none';
+
+        const output = document.getElementById('generator-output');
+        const strengthBar = document.getElementById('generator-strength-bar');
+        const strengthLabel = document.getElementById('generator-strength');
+        const result = this.generateSecret(options);
+
+        if (!result.success) {
+            output.value = '';
+            strengthBar.className = 'strength-bar';
+            strengthBar.style.width = '0';
+            strengthLabel.textContent = result.message;
+            return;
+        }
+
+        const strength = this.describeStrength(result.entropy);
+        output.value = result.value;
+        strengthBar.className = `strength-bar ${strength.level}`;
+        strengthBar.style.width = `${Math.min(100, result.entropy)}%`;
+        strengthLabel.textContent = `${strength.label} · ~${Math.round(result.entropy)} bits of entropy`;
+    }
+
+    useGeneratedPassword() {
+        const value = document.getElementById('generator-output').value;
+        if (!value) return;
+
+        document.getElementById('new-password').value = value;
+        this.closeGeneratorModal();
+    }
+
+    async copyGeneratedPassword() {
+        const value = document.getElementById('generator-output').value;
+        if (!value) return;
+
+        await this.copyToClipboard(value, 'Password');
+    }
+
+    // Import
+    showImportModal() {
+        document.getElementById('import-modal').style.display = 'block';
+    }
+
+    closeImportModal() {
+        document.getElementById('import-modal').style.display = 'none';
+        document.getElementById('import-form').reset();
+        this.importPreview = [];
+        this.importErrors = [];
+        this.renderImportPreview();
+    }
+
+    async previewImport() {
+        const file = document.getElementById('import-file').files[0];
+        if (!file) return;
+
+        const format = document.getElementById('import-format').value;
+        const { rows, errors } = this.parseImportFile(await file.text(), format);
+        const duplicateAction = document.getElementById('import-duplicate-action').value;
+
+        this.importPreview = rows.map(row => {
+            const duplicate = this.findDuplicateEntry(row.website, row.username);
+            return { ...row, duplicateId: duplicate?.id || null, action: duplicate ? duplicateAction : 'add' };
+        });
+        this.importErrors = errors;
+        this.renderImportPreview();
+    }
+
+    renderImportPreview() {
+        const rows = this.importPreview || [];
+        const errors = this.importErrors || [];
+        const errorList = document.getElementById('import-errors');
+        const tbody = document.getElementById('import-preview-tbody');
+        const duplicates = rows.filter(row => row.duplicateId).length;
+
+        errorList.replaceChildren(...errors.map(error => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${error.row}: ${error.message}`;
+            return item;
+        }));
+        errorList.style.display = errors.length ? 'block' : 'none';
+
+        document.getElementById('import-summary').textContent = rows.length || errors.length
+            ? `${rows.length} entries ready, ${duplicates} already in your vault, ${errors.length} rows with problems`
+            : '';
+        document.getElementById('import-preview').style.display = rows.length ? 'block' : 'none';
+        document.getElementById('import-confirm').disabled = rows.length === 0;
+
+        tbody.replaceChildren(...rows.map((row, index) => {
+            const tr = document.createElement('tr');
+            const website = document.createElement('td');
+            const username = document.createElement('td');
+            const status = document.createElement('td');
+            const action = document.createElement('td');
+
+            website.textContent = row.website;
+            username.textContent = row.username;
+            status.innerHTML = row.duplicateId
+                ? '<span class="import-status duplicate">Duplicate</span>'
+                : '<span class="import-status new">New</span>';
+
+            if (row.duplicateId) {
+                const select = document.createElement('select');
+                select.className = 'import-action';
+                select.dataset.index = index;
+                select.innerHTML = `
+                    <option value="skip">Skip</option>
+                    <option value="overwrite">Overwrite</option>
+                    <option value="keep-both">Keep both</option>
+                `;
+                select.value = row.action;
+                action.appendChild(select);
+            } else {
+                action.textContent = 'Import';
+            }
+
+            tr.append(website, username, status, action);
+            return tr;
+        }));
+    }
+
+    async confirmImport() {
+        const rows = this.importPreview || [];
+        if (rows.length === 0) return;
+
+        const counts = await this.importEntries(rows);
+        this.savePasswords();
+        this.updatePasswordsTable();
+        this.updateDashboard();
+        this.logActivity(this.currentUser.id, 'import', `${counts.added} added, ${counts.updated} updated`);
+        this.closeImportModal();
+        this.showMessage(`Imported ${counts.added} new, updated ${counts.updated}, skipped ${counts.skipped}`, 'success');
+    }
+
+    // Backup & Restore
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async exportCsv() {
+        const csv = await this.buildCsvExport();
+        this.downloadFile(`securepass-export-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+        this.closeCsvExportModal();
+        this.showMessage('Plaintext CSV exported. Delete it once you no longer need it!', 'error');
+    }
+
+    showBackupModal() {
+        document.getElementById('backup-modal').style.display = 'block';
+        document.getElementById('backup-passphrase').focus();
+    }
+
+    closeBackupModal() {
+        document.getElementById('backup-modal').style.display = 'none';
+        document.getElementById('backup-form').reset();
+    }
+
+    showRestoreModal() {
+        document.getElementById('restore-modal').style.display = 'block';
+    }
+
+    closeRestoreModal() {
+        document.getElementById('restore-modal').style.display = 'none';
+        document.getElementById('restore-form').reset();
+    }
+
+    showCsvExportModal() {
+        document.getElementById('csv-export-modal').style.display = 'block';
+    }
+
+    closeCsvExportModal() {
+        document.getElementById('csv-export-modal').style.display = 'none';
+        document.getElementById('csv-export-acknowledge').checked = false;
+        document.getElementById('csv-export-confirm').disabled = true;
+    }
+
+    // Navigation Methods
+    goToDashboard() {
+        this.showSection('dashboard');
+    }
+
+    // Account Management
+    updateAccountInfo() {
+        const accountName = document.getElementById('account-name');
+        const accountEmail = document.getElementById('account-email');
+        const accountCreated = document.getElementById('account-created');
+        
+        if (accountName && this.currentUser) {
+            accountName.textContent = this.currentUser.name;
+        }
+        if (accountEmail && this.currentUser) {
+            accountEmail.textContent = this.currentUser.email;
+        }
+        if (accountCreated && this.currentUser) {
+            const user = this.users.find(u => u.id === this.currentUser.id);
+            if (user) {
+                const date = new Date(user.createdAt);
+                accountCreated.textContent = date.toLocaleDateString();
+            }
+        }
+    }
+
+    updateLockSettings() {
+        const settings = this.getSettings();
+        document.getElementById('auto-lock-minutes').value = String(settings.autoLockMinutes);
+        document.getElementById('lock-on-hide').checked = this.shouldLockWhenHidden();
+        document.getElementById('lock-on-hide').disabled = this.isInstalledApp();
+        document.getElementById('stale-months').value = String(settings.staleMonths);
+        document.getElementById('breach-endpoint').value = settings.breachEndpoint;
+        document.getElementById('clipboard-clear-seconds').value = String(settings.clipboardClearSeconds);
+        document.getElementById('trash-retention-days').value = String(settings.trashRetentionDays);
+        document.getElementById('favicons-enabled').checked = settings.favicons;
+        document.getElementById('favicon-endpoint').value = settings.faviconEndpoint;
+    }
+
+    // Password Change Modal
+    showChangePasswordModal() {
+        document.getElementById('change-password-modal').style.display = 'block';
+        document.getElementById('current-password').focus();
+    }
+
+    closeChangePasswordModal() {
+        document.getElementById('change-password-modal').style.display = 'none';
+        document.getElementById('change-password-form').reset();
+        this.clearPasswordRequirements();
+    }
+
+    // Password Requirements Validation
+    validatePassword(password, isCreateAccount = false) {
+        const requirements = this.checkPasswordRequirements(password);
+
+        if (isCreateAccount) {
+            // Update visual indicators for create account form
+            document.getElementById('create-req-length').classList.toggle('valid', requirements.length);
+            document.getElementById('create-req-uppercase').classList.toggle('valid', requirements.uppercase);
+            document.getElementById('create-req-lowercase').classList.toggle('valid', requirements.lowercase);
+            document.getElementById('create-req-number').classList.toggle('valid', requirements.number);
+            document.getElementById('create-req-special').classList.toggle('valid', requirements.special);
+        } else {
+            // Update visual indicators for change password form
+            document.getElementById('req-length').classList.toggle('valid', requirements.length);
+            document.getElementById('req-uppercase').classList.toggle('valid', requirements.uppercase);
+            document.getElementById('req-lowercase').classList.toggle('valid', requirements.lowercase);
+            document.getElementById('req-number').classList.toggle('valid', requirements.number);
+            document.getElementById('req-special').classList.toggle('valid', requirements.special);
+        }
+
+        return Object.values(requirements).every(req => req);
+    }
+
+    clearPasswordRequirements() {
         const requirements = ['req-length', 'req-uppercase', 'req-lowercase', 'req-number', 'req-special'];
         const createRequirements = ['create-req-length', 'create-req-uppercase', 'create-req-lowercase', 'create-req-number', 'create-req-special'];
         
@@ -400,43 +2673,584 @@ class SecurePass {
         }
     }
 
-    // Change Password
-    changePassword(currentPassword, newPassword) {
-        if (!this.currentUser || !this.currentUser.id) {
-            return { success: false, message: 'User not authenticated' };
+    // Sharing (keys and share records are managed by VaultCore)
+    // Shared entries are listed with negative ids so they never collide with the vault's own
+    findEntry(id) {
+        return this.passwords.find(pwd => pwd.id === id) || this.sharedEntries.find(entry => entry.id === id);
+    }
+
+    async shareEntry(entryId, email, permission) {
+        const result = await this.createShare(entryId, email, permission);
+        if (result.success) {
+            this.updatePasswordsTable();
+        }
+        return result;
+    }
+
+    setSharePermission(shareId, permission) {
+        const shares = this.loadShares();
+        const share = shares.find(item => item.id === shareId && item.ownerId === this.currentUser.id);
+        if (!share || !SHARE_PERMISSIONS[permission]) return;
+
+        share.permission = permission;
+        this.saveShares(shares);
+        const recipient = this.users.find(u => u.id === share.recipientId);
+        this.logActivity(this.currentUser.id, 'share-access', `${recipient ? recipient.email : 'Unknown user'}: ${SHARE_PERMISSIONS[permission]}`);
+        this.showMessage('Access updated', 'success');
+    }
+
+    revokeShare(shareId) {
+        const shares = this.loadShares();
+        const share = shares.find(item => item.id === shareId && item.ownerId === this.currentUser.id);
+        if (!share) return;
+
+        const recipient = this.users.find(u => u.id === share.recipientId);
+        const entry = this.passwords.find(pwd => pwd.id === share.entryId);
+        this.saveShares(shares.filter(item => item !== share));
+        this.logActivity(this.currentUser.id, 'unshare', `${entry ? entry.website : 'Entry'} from ${recipient ? recipient.email : 'unknown user'}`);
+        this.renderShareList();
+        this.updatePasswordsTable();
+        this.showMessage('Access revoked', 'success');
+    }
+
+    // Owner side: re-encrypt shares whose entry changed, drop those whose entry is gone (a trashed entry keeps
+    // them until it is purged). Updates are kept by share id and applied to the shares as they are when
+    // writing, so a revoke, permission change or recipient edit made while this ran is not overwritten
+    async refreshOutgoingShares() {
+        const userId = this.currentUser.id;
+        const trashed = new Set(this.loadTrash().map(entry => entry.id));
+        const updates = new Map();
+
+        for (const share of this.loadShares().filter(item => item.ownerId === userId)) {
+            const entry = this.passwords.find(pwd => pwd.id === share.entryId);
+            if (!entry && trashed.has(share.entryId)) continue;
+            if (!entry) {
+                updates.set(share.id, { read: share.updatedAt, removed: true });
+            } else if (entry.updatedAt !== share.entryUpdatedAt && share.updatedBy === userId) {
+                // A recipient's edit not merged yet waits for mergeShareEdits() rather than being overwritten
+                const payload = this.toSharePayload(await this.decryptEntry(entry));
+                updates.set(share.id, {
+                    read: share.updatedAt,
+                    changes: {
+                        data: await this.encryptPassword(JSON.stringify(payload), await this.openShareKey(share)),
+                        entryUpdatedAt: entry.updatedAt,
+                        updatedBy: userId,
+                        updatedAt: new Date().toISOString()
+                    }
+                });
+            }
         }
 
+        if (updates.size === 0 || !this.currentUser || this.currentUser.id !== userId) return;
+        this.saveShares(this.loadShares().flatMap(share => {
+            const update = updates.get(share.id);
+            // A share written since it was read is left for the next refresh, which sees that version
+            if (!update || share.updatedAt !== update.read) return [share];
+            return update.removed ? [] : [{ ...share, ...update.changes }];
+        }));
+    }
+
+    // Owner side: merge recipients' edits into the vault, then save it if any landed
+    async applyIncomingShareEdits() {
+        const changed = await this.mergeShareEdits();
+        changed.forEach(entry => this.totpCache.delete(entry.id));
+        if (changed.length > 0) {
+            this.savePasswords();
+        }
+    }
+
+    // Recipient side: decrypt every share addressed to this account into a session-only entry
+    async loadSharedEntries() {
+        const entries = [];
+        for (const share of this.loadShares().filter(item => item.recipientId === this.currentUser.id)) {
+            try {
+                const payload = JSON.parse(await this.decryptPassword(share.data, await this.openShareKey(share)));
+                const owner = this.users.find(u => u.id === share.ownerId);
+                const entry = await this.encryptEntry({
+                    ...payload,
+                    folder: '',
+                    tags: [],
+                    favorite: false,
+                    history: [],
+                    createdAt: share.createdAt
+                });
+                entries.push({
+                    ...entry,
+                    id: -share.id,
+                    shared: { shareId: share.id, owner: owner ? owner.email : 'Unknown user', permission: share.permission }
+                });
+            } catch (error) {
+                console.warn(`Skipping unreadable share ${share.id}:`, error);
+            }
+        }
+        this.sharedEntries = entries;
+    }
+
+    // Recipient side: save an edit back into the share for the owner to pick up
+    async updateSharedEntry(id, website, username, password, totp, details) {
+        const entry = this.sharedEntries.find(item => item.id === id);
+        const shares = this.loadShares();
+        const share = entry && shares.find(item => item.id === entry.shared.shareId && item.recipientId === this.currentUser.id);
+        if (!share) {
+            this.showMessage('This entry is no longer shared with you!', 'error');
+            return;
+        }
+        if (share.permission !== 'edit') {
+            this.showMessage('This entry is shared with you read-only!', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const payload = {
+            type: entry.type,
+            website,
+            username,
+            password: entry.password ? password : null,
+            totp,
+            fields: details.fields,
+            customFields: details.customFields,
+            urls: details.urls || this.getEntryUrls(entry),
+            updatedAt: now
+        };
+        share.data = await this.encryptPassword(JSON.stringify(payload), await this.openShareKey(share));
+        share.updatedBy = this.currentUser.id;
+        share.updatedAt = now;
+        this.saveShares(shares);
+        this.totpCache.delete(id);
+
+        await this.loadSharedEntries();
+        this.logActivity(this.currentUser.id, 'edit', `${website} (shared by ${entry.shared.owner})`);
+        this.updatePasswordsTable();
+        this.showMessage(`${this.getItemType(entry).noun} updated successfully!`, 'success');
+    }
+
+    showShareModal(id) {
+        const entry = this.passwords.find(pwd => pwd.id === id);
+        if (!entry) return;
+
+        this.sharingId = id;
+        document.getElementById('share-entry-name').textContent = entry.website;
+        this.renderShareList();
+        document.getElementById('share-modal').style.display = 'block';
+        document.getElementById('share-email').focus();
+    }
+
+    closeShareModal() {
+        this.sharingId = null;
+        document.getElementById('share-modal').style.display = 'none';
+        document.getElementById('share-form').reset();
+    }
+
+    renderShareList() {
+        const list = document.getElementById('share-list');
+        const shares = this.loadShares().filter(share => share.ownerId === this.currentUser.id && share.entryId === this.sharingId);
+        list.innerHTML = shares.length === 0
+            ? '<li class="history-empty">Not shared with anyone yet</li>'
+            : shares.map(share => {
+                const recipient = this.users.find(u => u.id === share.recipientId);
+                const options = Object.entries(SHARE_PERMISSIONS).map(([value, label]) =>
+                    `<option value="${value}" ${share.permission === value ? 'selected' : ''}>${label}</option>`
+                ).join('');
+                return `
+                    <li class="history-item share-item" data-share-id="${share.id}">
+                        <span class="share-recipient">${this.escapeHtml(recipient ? recipient.email : 'Unknown user')}</span>
+                        <select data-action="permission">${options}</select>
+                        <button type="button" class="action-btn-small delete-btn" data-action="revoke" title="Revoke access">
+                            <i class="fas fa-user-times"></i>
+                        </button>
+                    </li>
+                `;
+            }).join('');
+    }
+
+    // Sync (the protocol itself is in VaultCore)
+    normalizeSyncServer(url) {
+        const value = url.trim().replace(/\/+$/, '');
+        return /^https?:\/\/[^\s/]+/i.test(value) && this.isAllowedEndpoint(value) ? value : null;
+    }
+
+    async connectSync(serverUrl, password) {
         const user = this.users.find(u => u.id === this.currentUser.id);
-        if (!user) {
-            return { success: false, message: 'User not found' };
+        if (!user || !(await this.verifyPassword(password, user.password))) {
+            return { success: false, message: 'Master password is incorrect' };
+        }
+
+        const server = this.normalizeSyncServer(serverUrl);
+        if (!server) {
+            return { success: false, message: 'Sync server must be an https URL, or http on localhost' };
+        }
+
+        const connection = { server, ...(await this.deriveSyncCredentials(user.email, password)) };
+        let recoveryReplaced = false;
+        try {
+            const remote = await this.syncRequest(connection, 'GET').catch(error => {
+                if (error.status === 404) return null;
+                throw error;
+            });
+
+            if (!remote) {
+                await this.syncRequest(connection, 'POST', '', { account: { vault: user.vault } });
+            } else if (remote.account.vault.key !== user.vault.key) {
+                const vaultKey = await this.unwrapVaultKey(password, remote.account.vault).catch(() => null);
+                if (!vaultKey) {
+                    return { success: false, message: 'The synced vault could not be opened with this master password' };
+                }
+                // The same key wrapped anew (after a master password change) needs nothing, and the emergency kit still opens it
+                if (!(await this.wrapsSameKey(password, remote.account.vault, user.vault))) {
+                    // Another device created this vault: adopt its key so both devices read the same ciphertext
+                    await this.rekeyVault(user, vaultKey);
+                    user.vault = remote.account.vault;
+                    // The kit wraps the vault key this device no longer uses; the user is asked to make a new one
+                    recoveryReplaced = Boolean(user.recovery);
+                    delete user.recovery;
+                    this.saveUsers();
+                }
+            }
+        } catch (error) {
+            return {
+                success: false,
+                message: error.status === 401
+                    ? 'The sync server rejected this master password'
+                    : `Could not connect to the sync server: ${error.message}`
+            };
+        }
+
+        this.saveSyncState({
+            server,
+            accountId: connection.accountId,
+            token: await this.encryptPassword(connection.token),
+            cursor: 0,
+            base: {},
+            lastSyncedAt: null
+        });
+        this.syncError = null;
+        this.syncConflicts = [];
+        this.logActivity(user.id, 'sync-connected', server);
+        this.startSyncTimer();
+        if (recoveryReplaced) {
+            return {
+                success: true,
+                recoveryReplaced,
+                message: 'Sync connected! This device now uses the synced vault, so your old emergency kit no longer works. Create a new one.'
+            };
+        }
+        return { success: true, message: 'Sync connected!' };
+    }
+
+    disconnectSync() {
+        if (!confirm('Stop syncing this device? Your entries stay here and on the sync server.')) return;
+
+        this.stopSyncTimer();
+        this.storage.remove(`sync_${this.currentUser.id}`);
+        this.syncError = null;
+        this.syncConflicts = [];
+        this.logActivity(this.currentUser.id, 'sync-disconnected');
+        this.updateSyncSettings();
+        this.showMessage('Sync disconnected', 'success');
+    }
+
+    // Re-encrypt everything held under the current vault key with another one
+    async rekeyVault(user, vaultKey) {
+        const entries = [];
+        for (const entry of this.passwords) {
+            entries.push(await this.decryptEntry(entry));
+        }
+        const trash = [];
+        for (const entry of this.loadTrash()) {
+            trash.push(await this.decryptEntry(entry));
+        }
+        const twoFactorConfig = user.twoFactor ? await this.decryptPassword(user.twoFactor.totp) : null;
+        const privateKey = user.keyPair ? await this.decryptPassword(user.keyPair.privateKey) : null;
+
+        this.vaultKey = vaultKey;
+        const rekeyed = [];
+        for (const entry of entries) {
+            rekeyed.push(await this.encryptEntry(entry));
+        }
+        this.passwords = rekeyed;
+        const rekeyedTrash = [];
+        for (const entry of trash) {
+            rekeyedTrash.push(await this.encryptEntry(entry));
+        }
+        this.saveTrash(rekeyedTrash);
+        if (twoFactorConfig) {
+            user.twoFactor.totp = await this.encryptPassword(twoFactorConfig);
+        }
+        if (privateKey) {
+            user.keyPair.privateKey = await this.encryptPassword(privateKey);
+        }
+        this.totpCache.clear();
+        this.savePasswords();
+    }
+
+    // Shares a run already in progress; notify reports the outcome for a user-triggered sync
+    async syncNow(notify = false) {
+        if (!this.syncInFlight) {
+            this.syncInFlight = this.runSync().finally(() => {
+                this.syncInFlight = null;
+            });
+        }
+        const result = await this.syncInFlight;
+        if (notify) {
+            this.showMessage(result.message, result.success ? 'success' : 'error');
+        }
+        return result;
+    }
+
+    // One round of VaultCore.syncVault(), reported in the settings and the conflict list
+    async runSync() {
+        clearTimeout(this.syncPushTimer);
+        const userId = this.currentUser && this.currentUser.id;
+        const state = this.isAuthenticated && this.loadSyncState();
+        if (!state) {
+            return { success: false, message: 'Sync is not connected' };
+        }
+
+        // Locking, signing out or disconnecting mid-request leaves the settings panel to whoever is there now
+        const stillOpen = () => this.isAuthenticated && this.currentUser.id === userId && this.loadSyncState() === state;
+
+        try {
+            const round = await this.syncVault();
+            if (!round) return { success: false, message: 'Sync cancelled' };
+            const { conflicts, changed } = round;
+            if (changed) {
+                this.savePasswords();
+                this.updatePasswordsTable();
+                this.updateDashboard();
+            }
+            this.syncError = null;
+            this.setSyncConflicts(conflicts);
+            return conflicts.length > 0
+                ? { success: true, message: `Synced with ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} to resolve` }
+                : { success: true, message: 'Vault synced!' };
+        } catch (error) {
+            this.syncError = error.status === 401
+                ? 'The sync server rejected this device. Reconnect with your current master password.'
+                : error.message;
+            return { success: false, message: `Sync failed: ${this.syncError}` };
+        } finally {
+            if (stillOpen()) this.updateSyncSettings();
+        }
+    }
+
+    // The vault side is in VaultCore; this drops what the page still holds for the entry
+    replaceSyncedEntry(id, entry) {
+        this.totpCache.delete(id);
+        if (!entry) this.selectedIds.delete(id);
+        return super.replaceSyncedEntry(id, entry);
+    }
+
+    // Unresolved conflicts come back on every sync; only newly found ones are announced
+    setSyncConflicts(conflicts) {
+        const known = new Set(this.syncConflicts.map(conflict => conflict.id));
+        this.syncConflicts = conflicts;
+        if (conflicts.some(conflict => !known.has(conflict.id))) {
+            this.showMessage('Some entries were changed on another device too. Resolve the sync conflicts in Settings.', 'warning');
+        }
+        if (document.getElementById('sync-conflict-modal').style.display === 'block') {
+            this.renderSyncConflicts();
+        }
+    }
+
+    // choice: 'local' keeps this device's version, 'remote' the server's, 'both' keeps each as its own entry
+    async resolveSyncConflict(id, choice) {
+        const conflict = this.syncConflicts.find(item => item.id === id);
+        const state = this.loadSyncState();
+        if (!conflict || !state) return;
+
+        if (choice === 'remote') {
+            this.replaceSyncedEntry(id, conflict.remote);
+        } else if (choice === 'both') {
+            const local = this.passwords.find(pwd => pwd.id === id);
+            local.id = this.generateEntryId();
+            this.replaceSyncedEntry(id, conflict.remote);
         }
+        // Whatever stays local is now based on the server's revision, so the next push overwrites it cleanly
+        state.base[id] = { revision: conflict.revision, hash: await this.hashSyncEntry(conflict.remote) };
+        this.saveSyncState(state);
+
+        this.syncConflicts = this.syncConflicts.filter(item => item !== conflict);
+        this.savePasswords();
+        this.logActivity(this.currentUser.id, 'sync-conflict', (conflict.local || conflict.remote).website);
+        this.updatePasswordsTable();
+        this.updateDashboard();
+        this.updateSyncSettings();
+
+        if (this.syncConflicts.length === 0) {
+            this.closeSyncConflictModal();
+            this.syncNow(true);
+        } else {
+            this.renderSyncConflicts();
+        }
+    }
+
+    scheduleSync() {
+        if (!this.currentUser || !this.loadSyncState()) return;
+        clearTimeout(this.syncPushTimer);
+        this.syncPushTimer = setTimeout(() => this.syncNow(), SYNC_PUSH_DELAY_MS);
+    }
+
+    startSyncTimer() {
+        this.stopSyncTimer();
+        if (!this.loadSyncState()) return;
+        this.syncNow();
+        this.syncPollTimer = setInterval(() => this.syncNow(), SYNC_POLL_INTERVAL_MS);
+    }
+
+    stopSyncTimer() {
+        clearTimeout(this.syncPushTimer);
+        clearInterval(this.syncPollTimer);
+        this.syncPushTimer = null;
+        this.syncPollTimer = null;
+    }
 
-        // Verify current password
-        if (!this.verifyPassword(currentPassword, user.password)) {
-            return { success: false, message: 'Current password is incorrect' };
+    updateSyncSettings() {
+        const state = this.loadSyncState();
+        let status = 'Keep this vault in step across devices through your own sync server';
+        if (state) {
+            status = this.syncError
+                ? `Sync failed: ${this.syncError}`
+                : state.lastSyncedAt
+                    ? `Synced with ${state.server} — last ${new Date(state.lastSyncedAt).toLocaleString()}`
+                    : `Connected to ${state.server}`;
+        }
+        const conflicts = this.syncConflicts.length;
+        if (conflicts > 0) {
+            status += ` — ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve`;
         }
 
-        // Validate new password
-        if (!this.validatePassword(newPassword)) {
-            return { success: false, message: 'New password does not meet requirements' };
+        document.getElementById('sync-status').textContent = status;
+        document.getElementById('sync-connect-btn').style.display = state ? 'none' : '';
+        document.getElementById('sync-now-btn').style.display = state ? '' : 'none';
+        document.getElementById('sync-conflicts-btn').style.display = conflicts > 0 ? '' : 'none';
+        document.getElementById('sync-disconnect-btn').style.display = state ? '' : 'none';
+    }
+
+    showSyncConnectModal() {
+        document.getElementById('sync-connect-modal').style.display = 'block';
+        document.getElementById('sync-server').focus();
+    }
+
+    closeSyncConnectModal() {
+        document.getElementById('sync-connect-modal').style.display = 'none';
+        document.getElementById('sync-connect-form').reset();
+    }
+
+    showSyncConflictModal() {
+        this.renderSyncConflicts();
+        document.getElementById('sync-conflict-modal').style.display = 'block';
+    }
+
+    closeSyncConflictModal() {
+        document.getElementById('sync-conflict-modal').style.display = 'none';
+    }
+
+    describeSyncSide(entry) {
+        return entry
+            ? `Edited ${new Date(entry.updatedAt || entry.createdAt).toLocaleString()}`
+            : 'Deleted';
+    }
+
+    renderSyncConflicts() {
+        const list = document.getElementById('sync-conflict-list');
+        list.innerHTML = this.syncConflicts.map(conflict => {
+            const entry = conflict.local || conflict.remote;
+            const type = this.getItemType(entry);
+            const differences = conflict.differences.length > 0
+                ? `<p class="sync-conflict-diff">Differs in: ${this.escapeHtml(conflict.differences.join(', '))}</p>`
+                : '';
+            const keepBoth = conflict.local && conflict.remote
+                ? '<button class="settings-btn" data-choice="both">Keep Both</button>'
+                : '';
+
+            return `
+                <li class="sync-conflict" data-id="${conflict.id}">
+                    <div class="sync-conflict-title">
+                        <i class="fas ${type.icon}"></i>
+                        <span>${this.escapeHtml(entry.website)}</span>
+                    </div>
+                    <div class="sync-conflict-sides">
+                        <div><strong>This device</strong><span>${this.describeSyncSide(conflict.local)}</span></div>
+                        <div><strong>Sync server</strong><span>${this.describeSyncSide(conflict.remote)}</span></div>
+                    </div>
+                    ${differences}
+                    <div class="settings-actions">
+                        <button class="settings-btn" data-choice="local">Keep This Device's</button>
+                        <button class="settings-btn" data-choice="remote">Keep Server's</button>
+                        ${keepBoth}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Utility Methods
+    // Children may be nodes, strings (added as text, never parsed as HTML) or nested arrays; null, undefined
+    // and false are skipped so optional parts can be written inline
+    createElement(tag, attributes = {}, ...children) {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+            if (name === 'className') {
+                element.className = value;
+            } else if (name === 'dataset') {
+                Object.assign(element.dataset, value);
+            } else {
+                element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+        element.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false));
+        return element;
+    }
+
+    createIcon(icon) {
+        return this.createElement('i', { className: `fas ${icon}` });
+    }
+
+    // Mirrors connect-src in the Content-Security-Policy: https anywhere, plain http only on this machine
+    isAllowedEndpoint(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            return protocol === 'https:' || (protocol === 'http:' && ['localhost', '127.0.0.1'].includes(hostname));
+        } catch (error) {
+            return false;
         }
+    }
 
-        // Update password
-        user.password = this.hashPassword(newPassword);
-        this.saveUsers();
-        
-        return { success: true, message: 'Password changed successfully!' };
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
-    // Utility Methods
-    showMessage(message, type = 'success', location = 'main') {
+    // action: optional { label, run } shown as a button in the message, such as Undo
+    showMessage(message, type = 'success', location = 'main', action = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}`;
         messageDiv.textContent = message;
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'message-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                messageDiv.remove();
+                action.run();
+            });
+            messageDiv.appendChild(button);
+        }
         
         let targetContainer;
         if (location === 'signin') {
             targetContainer = document.querySelector('.signin-card');
+        } else if (location === 'lock') {
+            targetContainer = document.querySelector('#lock-page .signin-card');
+        } else if (location === 'two-factor') {
+            targetContainer = document.getElementById('two-factor-card');
+        } else if (location === 'recovery') {
+            targetContainer = document.getElementById('recovery-card');
         } else {
             targetContainer = document.querySelector('.container');
         }
@@ -444,34 +3258,120 @@ class SecurePass {
         if (targetContainer) {
             targetContainer.insertBefore(messageDiv, targetContainer.firstChild);
             
+            // Leave time to reach the action button
             setTimeout(() => {
                 messageDiv.remove();
-            }, 3000);
+            }, action ? 8000 : 3000);
         }
     }
 
     // Event Binding
     bindEvents() {
+        // Static buttons name a command in data-command, with an optional string data-argument; the
+        // Content-Security-Policy blocks inline onclick handlers. Only the commands index.html uses are listed,
+        // so injected markup cannot reach any other method.
+        const commands = {
+            applyUpdate: () => this.applyUpdate(),
+            dismissUpdateBanner: () => this.dismissUpdateBanner(),
+            toggleSignInPassword: () => this.toggleSignInPassword(),
+            goToDashboard: () => this.goToDashboard(),
+            showSection: section => this.showSection(section),
+            showGeneratorModal: forPasswordForm => this.showGeneratorModal(forPasswordForm),
+            showImportModal: () => this.showImportModal(),
+            showAddPasswordModal: () => this.showAddPasswordModal(),
+            bulkMove: () => this.bulkMove(),
+            bulkAddTag: () => this.bulkAddTag(),
+            bulkDelete: () => this.bulkDelete(),
+            clearSelection: () => this.clearSelection(),
+            showChangePasswordModal: () => this.showChangePasswordModal(),
+            showBackupModal: () => this.showBackupModal(),
+            showRestoreModal: () => this.showRestoreModal(),
+            showCsvExportModal: () => this.showCsvExportModal(),
+            showTwoFactorSetupModal: () => this.showTwoFactorSetupModal(),
+            showTwoFactorPasswordModal: action => this.showTwoFactorPasswordModal(action),
+            showRecoveryPasswordModal: () => this.showRecoveryPasswordModal(),
+            showActivityModal: () => this.showActivityModal(),
+            showSyncConnectModal: () => this.showSyncConnectModal(),
+            syncNow: notify => this.syncNow(notify),
+            showSyncConflictModal: () => this.showSyncConflictModal(),
+            disconnectSync: () => this.disconnectSync(),
+            closeChangePasswordModal: () => this.closeChangePasswordModal(),
+            closeAddPasswordModal: () => this.closeAddPasswordModal(),
+            generateRandomPassword: () => this.generateRandomPassword(),
+            addUrlRow: () => this.addUrlRow(),
+            addCustomFieldRow: () => this.addCustomFieldRow(),
+            closeGeneratorModal: () => this.closeGeneratorModal(),
+            closeImportModal: () => this.closeImportModal(),
+            closeTwoFactorModal: () => this.closeTwoFactorModal(),
+            downloadBackupCodes: () => this.downloadBackupCodes(),
+            closeTwoFactorPasswordModal: () => this.closeTwoFactorPasswordModal(),
+            closeRecoveryPasswordModal: () => this.closeRecoveryPasswordModal(),
+            closeActivityModal: () => this.closeActivityModal(),
+            closeShareModal: () => this.closeShareModal(),
+            closeSyncConnectModal: () => this.closeSyncConnectModal(),
+            closeSyncConflictModal: () => this.closeSyncConflictModal(),
+            closeBackupModal: () => this.closeBackupModal(),
+            closeRestoreModal: () => this.closeRestoreModal(),
+            closeCsvExportModal: () => this.closeCsvExportModal(),
+            closeHistoryModal: () => this.closeHistoryModal(),
+            closeRecoveryKit: () => this.closeRecoveryKit(),
+            printRecoveryKit: () => this.printRecoveryKit(),
+            downloadRecoveryKit: () => this.downloadRecoveryKit()
+        };
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-command]');
+            if (!target || !Object.hasOwn(commands, target.dataset.command)) return;
+            commands[target.dataset.command](target.dataset.argument);
+        });
+
         // Sign in form
-        document.getElementById('signin-form').addEventListener('submit', (e) => {
+        document.getElementById('signin-form').addEventListener('submit', async (e) => {
             e.preventDefault();
             const email = document.getElementById('email').value;
             const password = document.getElementById('master-password').value;
             
-            const result = this.authenticateUser(email, password);
+            const result = await this.authenticateUser(email, password);
             if (result.success) {
-                this.currentUser = result.user;
-                localStorage.setItem('securepass_user', JSON.stringify(this.currentUser));
-                this.isAuthenticated = true;
-                this.showMainApp();
+                document.getElementById('master-password').value = '';
+                await this.completeSignIn(result.user);
                 this.showMessage('Successfully signed in!', 'success');
+            } else if (result.requiresTwoFactor) {
+                document.getElementById('master-password').value = '';
+                this.showTwoFactorForm();
             } else {
                 this.showMessage(result.message, 'error', 'signin');
             }
         });
 
+        // Second sign-in step
+        document.getElementById('two-factor-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const code = document.getElementById('two-factor-code').value;
+
+            const result = await this.verifySecondFactor(code);
+            document.getElementById('two-factor-form').reset();
+            if (result.success) {
+                await this.completeSignIn(result.user, result.usedBackupCode ? 'Used a backup code' : '');
+                if (result.backupCodesLeft <= 2) {
+                    this.showMessage(`Only ${result.backupCodesLeft} backup codes left. Generate new ones in Settings.`, 'warning');
+                } else {
+                    this.showMessage('Successfully signed in!', 'success');
+                }
+            } else if (!this.pendingSignIn) {
+                this.showSignInForm();
+                this.showMessage(result.message, 'error', 'signin');
+            } else {
+                this.showMessage(result.message, 'error', 'two-factor');
+            }
+        });
+
+        document.getElementById('two-factor-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showSignInForm();
+        });
+
         // Create account form
-        document.getElementById('create-account-form').addEventListener('submit', (e) => {
+        document.getElementById('create-account-form').addEventListener('submit', async (e) => {
             e.preventDefault();
             const name = document.getElementById('create-name').value;
             const email = document.getElementById('create-email').value;
@@ -489,16 +3389,85 @@ class SecurePass {
                 return;
             }
             
-            const result = this.createUser(name, email, password);
+            const result = await this.createUser(name, email, password);
             if (result.success) {
                 this.showMessage(result.message, 'success');
                 this.showSignInForm();
                 document.getElementById('create-account-form').reset();
+                this.showRecoveryKit(result.recoveryKey, email);
             } else {
                 this.showMessage(result.message, 'error');
             }
         });
 
+        // Account recovery
+        document.getElementById('show-recovery').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showRecoveryForm();
+        });
+
+        document.getElementById('recovery-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showSignInForm();
+        });
+
+        document.getElementById('recovery-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('recovery-email').value;
+            const recoveryKey = document.getElementById('recovery-key').value;
+            const newPassword = document.getElementById('recovery-new-password').value;
+
+            if (newPassword !== document.getElementById('recovery-confirm-password').value) {
+                this.showMessage('Passwords do not match!', 'error', 'recovery');
+                return;
+            }
+
+            const result = await this.recoverAccount(email, recoveryKey, newPassword);
+            if (!result.success) {
+                this.showMessage(result.message, 'error', 'recovery');
+                return;
+            }
+
+            document.getElementById('recovery-form').reset();
+            document.getElementById('email').value = email;
+            this.showSignInForm();
+            this.showMessage(result.message, 'success', 'signin');
+        });
+
+        document.getElementById('recovery-password-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await this.regenerateRecoveryKit(document.getElementById('recovery-password').value);
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+
+            this.closeRecoveryPasswordModal();
+            this.updateRecoverySettings();
+            this.showRecoveryKit(result.recoveryKey, this.currentUser.email);
+            this.showMessage(result.message, 'success');
+        });
+
+        // Unlock form
+        document.getElementById('unlock-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('unlock-password').value;
+
+            const result = await this.unlock(password);
+            document.getElementById('unlock-form').reset();
+            if (result.requiresTwoFactor) {
+                document.getElementById('email').value = this.currentUser.email;
+                this.showTwoFactorForm();
+            } else if (!result.success) {
+                this.showMessage(result.message, 'error', 'lock');
+            }
+        });
+
+        document.getElementById('lock-signout').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.logout();
+        });
+
         // Toggle between sign in and create account
         document.getElementById('show-create-account').addEventListener('click', (e) => {
             e.preventDefault();
@@ -524,22 +3493,194 @@ class SecurePass {
             this.logout();
         });
 
-        // Add password form
+        // Lock
+        document.getElementById('lock-btn').addEventListener('click', () => {
+            this.lock();
+        });
+
+        // Auto-lock: idle tracking and tab visibility
+        ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkForUpdate();
+            } else if (this.isAuthenticated && this.shouldLockWhenHidden()) {
+                this.lock();
+            }
+        });
+
+        // Mobile browsers may freeze a backgrounded app without a visibility change
+        document.addEventListener('freeze', () => {
+            if (this.isAuthenticated && this.shouldLockWhenHidden()) {
+                this.lock();
+            }
+        });
+
+        // A page kept in the back/forward cache would come back unlocked
+        window.addEventListener('pagehide', () => {
+            this.lock();
+        });
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateRequested) {
+                    window.location.reload();
+                }
+            });
+        }
+
+        document.getElementById('auto-lock-minutes').addEventListener('change', (e) => {
+            this.updateSettings({ autoLockMinutes: Number(e.target.value) });
+            this.startIdleTimer();
+        });
+
+        document.getElementById('lock-on-hide').addEventListener('change', (e) => {
+            this.updateSettings({ lockOnHide: e.target.checked });
+        });
+
+        document.getElementById('clipboard-clear-seconds').addEventListener('change', (e) => {
+            this.updateSettings({ clipboardClearSeconds: Number(e.target.value) });
+        });
+
+        document.getElementById('favicons-enabled').addEventListener('change', (e) => {
+            this.updateSettings({ favicons: e.target.checked });
+            this.refreshFavicons();
+            this.refreshEntryList();
+        });
+
+        document.getElementById('favicon-endpoint').addEventListener('change', (e) => {
+            const endpoint = e.target.value.trim() || DEFAULT_SETTINGS.faviconEndpoint;
+            if (!endpoint.includes('{domain}') || !this.isAllowedEndpoint(endpoint.replace('{domain}', 'example.com'))) {
+                this.showMessage('Icon service must be an https URL containing {domain}!', 'error');
+                e.target.value = this.getSettings().faviconEndpoint;
+                return;
+            }
+            // Icons from the previous service are dropped so every domain is fetched from the new one
+            this.updateSettings({ faviconEndpoint: endpoint });
+            this.storage.remove(`favicons_${this.currentUser.id}`);
+            e.target.value = endpoint;
+            this.refreshFavicons();
+            this.refreshEntryList();
+            this.showMessage('Icon service updated!', 'success');
+        });
+
+        document.getElementById('trash-retention-days').addEventListener('change', (e) => {
+            this.updateSettings({ trashRetentionDays: Number(e.target.value) });
+            this.purgeExpiredTrash();
+            this.updatePasswordsTable();
+        });
+
+        document.getElementById('stale-months').addEventListener('change', (e) => {
+            this.updateSettings({ staleMonths: Number(e.target.value) });
+            this.updateSecurityReport();
+        });
+
+        document.getElementById('breach-check-btn').addEventListener('click', () => {
+            this.checkBreaches();
+        });
+
+        document.getElementById('breach-endpoint').addEventListener('change', (e) => {
+            const endpoint = e.target.value.trim() || DEFAULT_SETTINGS.breachEndpoint;
+            if (!this.isAllowedEndpoint(endpoint)) {
+                this.showMessage('Breach endpoint must be an https URL, or http on localhost!', 'error');
+                e.target.value = this.getSettings().breachEndpoint;
+                return;
+            }
+            this.updateSettings({ breachEndpoint: endpoint });
+            e.target.value = endpoint;
+            this.showMessage('Breach endpoint updated!', 'success');
+        });
+
+        // Add / edit password form
         document.getElementById('add-password-form').addEventListener('submit', (e) => {
             e.preventDefault();
+            const details = {
+                ...this.readItemForm(),
+                folder: document.getElementById('new-folder').value,
+                tags: this.parseTags(document.getElementById('new-tags').value),
+                favorite: document.getElementById('new-favorite').checked
+            };
+            const itemType = ITEM_TYPES[details.type];
             const website = document.getElementById('new-website').value;
-            const username = document.getElementById('new-username').value;
-            const password = document.getElementById('new-password').value;
+            const username = itemType.username ? document.getElementById('new-username').value : '';
+            const password = itemType.password ? document.getElementById('new-password').value : '';
+            const totp = itemType.totp ? this.parseTotp(document.getElementById('new-totp').value) : { success: true, totp: null };
+            
+            if (!totp.success) {
+                this.showMessage(totp.message, 'error');
+                return;
+            }
+            if (details.customFields.some(field => !field.name)) {
+                this.showMessage('Every custom field needs a name!', 'error');
+                return;
+            }
+            if (details.urls?.some(rule => !rule.url)) {
+                this.showMessage('Enter each URL as a web address like https://example.com, or a valid regular expression!', 'error');
+                return;
+            }
+            // Without URLs a login matches the site its name points to, as entries from before URL rules do
+            if (details.urls?.length === 0) {
+                details.urls = this.getEntryUrls({ website });
+            }
             
-            if (website && username && password) {
-                this.savePassword(website, username, password);
+            if (website && (username || !itemType.username) && (password || !itemType.password)) {
+                if (this.editingId !== null) {
+                    this.updatePassword(this.editingId, website, username, password, totp.totp, details);
+                } else {
+                    this.savePassword(website, username, password, totp.totp, details);
+                }
                 this.closeAddPasswordModal();
             }
         });
 
+        document.getElementById('new-type').addEventListener('change', (e) => {
+            this.setItemType(e.target.value);
+        });
+
         // Search functionality
         document.getElementById('search-passwords')?.addEventListener('input', () => {
-            this.updatePasswordsTable();
+            document.querySelector('.passwords-table-container').scrollTop = 0;
+            this.refreshEntryList();
+        });
+
+        document.getElementById('sort-passwords').addEventListener('change', (e) => {
+            this.setSortOrder(e.target.value);
+        });
+
+        document.querySelectorAll('.passwords-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.toggleColumnSort(header.dataset.sort));
+        });
+
+        // Windowed rendering: swap rows in as the list scrolls, at most once per frame
+        let scrollFrame = null;
+        document.querySelector('.passwords-table-container').addEventListener('scroll', () => {
+            if (scrollFrame) return;
+            scrollFrame = requestAnimationFrame(() => {
+                scrollFrame = null;
+                this.renderTableWindow();
+            });
+        });
+
+        // Folder/tag sidebar is re-rendered on every table update, so listen on its container
+        document.getElementById('passwords-sidebar').addEventListener('click', (e) => {
+            this.handleSidebarClick(e);
+        });
+
+        // Row buttons carry data-action; the row's data-id names the entry
+        document.getElementById('passwords-tbody').addEventListener('click', (e) => {
+            this.handleEntryAction(e);
+        });
+
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            this.handleEntryAction(e);
+        });
+
+        document.getElementById('select-all-entries').addEventListener('change', (e) => {
+            this.toggleSelectAll(e.target.checked);
         });
 
         // Modal close on outside click
@@ -555,8 +3696,297 @@ class SecurePass {
             }
         });
 
+        document.getElementById('history-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'history-modal') {
+                this.closeHistoryModal();
+            }
+        });
+
+        document.getElementById('generator-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'generator-modal') {
+                this.closeGeneratorModal();
+            }
+        });
+
+        document.getElementById('import-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'import-modal') {
+                this.closeImportModal();
+            }
+        });
+
+        // Import flow: re-parse whenever the file or format changes
+        document.getElementById('import-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+
+        document.getElementById('import-file').addEventListener('change', () => {
+            this.previewImport();
+        });
+
+        document.getElementById('import-format').addEventListener('change', () => {
+            this.previewImport();
+        });
+
+        document.getElementById('import-duplicate-action').addEventListener('change', (e) => {
+            (this.importPreview || []).filter(row => row.duplicateId).forEach(row => {
+                row.action = e.target.value;
+            });
+            this.renderImportPreview();
+        });
+
+        document.getElementById('import-preview-tbody').addEventListener('change', (e) => {
+            if (e.target.classList.contains('import-action')) {
+                this.importPreview[Number(e.target.dataset.index)].action = e.target.value;
+            }
+        });
+
+        document.getElementById('import-confirm').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        // Backup & restore
+        ['backup-modal', 'restore-modal', 'csv-export-modal'].forEach(modalId => {
+            document.getElementById(modalId).addEventListener('click', (e) => {
+                if (e.target.id === modalId) {
+                    e.target.style.display = 'none';
+                }
+            });
+        });
+
+        document.getElementById('activity-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'activity-modal') {
+                this.closeActivityModal();
+            }
+        });
+        document.getElementById('activity-filter').addEventListener('change', () => this.renderActivityLog());
+        document.getElementById('activity-search').addEventListener('input', () => this.renderActivityLog());
+
+        ['two-factor-modal', 'two-factor-password-modal'].forEach(modalId => {
+            document.getElementById(modalId).addEventListener('click', (e) => {
+                if (e.target.id === modalId) {
+                    modalId === 'two-factor-modal' ? this.closeTwoFactorModal() : this.closeTwoFactorPasswordModal();
+                }
+            });
+        });
+
+        document.getElementById('two-factor-setup-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const code = document.getElementById('two-factor-setup-code').value;
+
+            const result = await this.confirmTwoFactorEnrollment(code);
+            if (result.success) {
+                this.showBackupCodes(result.backupCodes);
+                this.updateTwoFactorSettings();
+                this.showMessage(result.message, 'success');
+            } else {
+                this.showMessage(result.message, 'error');
+            }
+        });
+
+        document.getElementById('two-factor-password-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('two-factor-password').value;
+
+            const result = this.twoFactorAction === 'disable'
+                ? await this.disableTwoFactor(password)
+                : await this.regenerateBackupCodes(password);
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+
+            this.closeTwoFactorPasswordModal();
+            this.updateTwoFactorSettings();
+            if (result.backupCodes) {
+                this.showBackupCodes(result.backupCodes);
+            }
+            this.showMessage(result.message, 'success');
+        });
+
+        document.getElementById('share-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('share-email').value;
+            const permission = document.getElementById('share-permission').value;
+
+            const result = await this.shareEntry(this.sharingId, email, permission);
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+
+            document.getElementById('share-email').value = '';
+            this.renderShareList();
+            this.showMessage(result.message, 'success');
+        });
+
+        document.getElementById('share-list').addEventListener('change', (e) => {
+            if (e.target.dataset.action !== 'permission') return;
+            this.setSharePermission(Number(e.target.closest('.share-item').dataset.shareId), e.target.value);
+        });
+
+        document.getElementById('share-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="revoke"]');
+            if (!button) return;
+            const recipient = button.closest('.share-item').querySelector('.share-recipient').textContent;
+            if (confirm(`Stop sharing this entry with ${recipient}?`)) {
+                this.revokeShare(Number(button.closest('.share-item').dataset.shareId));
+            }
+        });
+
+        document.getElementById('sync-connect-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const server = document.getElementById('sync-server').value;
+            const password = document.getElementById('sync-password').value;
+
+            const result = await this.connectSync(server, password);
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+
+            this.closeSyncConnectModal();
+            this.updateSyncSettings();
+            this.updateRecoverySettings();
+            if (result.recoveryReplaced) {
+                this.showMessage(result.message, 'warning');
+                this.showRecoveryPasswordModal();
+                return;
+            }
+            this.showMessage(result.message, 'success');
+        });
+
+        document.getElementById('sync-conflict-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-choice]');
+            if (!button) return;
+            const id = Number(button.closest('.sync-conflict').dataset.id);
+            this.resolveSyncConflict(id, button.dataset.choice);
+        });
+
+        // Edits made offline go out as soon as the connection is back
+        window.addEventListener('online', () => {
+            if (this.isAuthenticated) this.syncNow();
+        });
+
+        document.getElementById('backup-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const passphrase = document.getElementById('backup-passphrase').value;
+            const confirmPassphrase = document.getElementById('backup-passphrase-confirm').value;
+
+            if (passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+                this.showMessage(`Backup passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters!`, 'error');
+                return;
+            }
+            if (passphrase !== confirmPassphrase) {
+                this.showMessage('Passphrases do not match!', 'error');
+                return;
+            }
+
+            const backup = await this.createBackup(passphrase);
+            this.downloadFile(
+                `securepass-backup-${backup.createdAt.slice(0, 10)}.json`,
+                JSON.stringify(backup, null, 2),
+                'application/json'
+            );
+            this.closeBackupModal();
+            this.showMessage('Encrypted backup exported!', 'success');
+        });
+
+        document.getElementById('restore-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = document.getElementById('restore-file').files[0];
+            const passphrase = document.getElementById('restore-passphrase').value;
+            const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+            if (!file) return;
+
+            const result = await this.readBackup(await file.text(), passphrase);
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+
+            if (mode === 'replace' && !confirm(`Replace all ${this.passwords.length} entries in your vault with the ${result.entries.length} in this backup?`)) {
+                return;
+            }
+
+            const counts = await this.restoreEntries(result.entries, mode);
+            this.savePasswords();
+            this.updatePasswordsTable();
+            this.updateDashboard();
+            this.logActivity(
+                this.currentUser.id,
+                'restore',
+                mode === 'replace' ? `Replaced vault with ${counts.added} entries` : `Merged ${counts.added} new, ${counts.updated} updated`
+            );
+            this.closeRestoreModal();
+            this.showMessage(
+                mode === 'replace'
+                    ? `Vault replaced with ${counts.added} entries from backup`
+                    : `Restored ${counts.added} new and ${counts.updated} newer entries (${counts.unchanged} unchanged)`,
+                'success'
+            );
+        });
+
+        document.getElementById('csv-export-acknowledge').addEventListener('change', (e) => {
+            document.getElementById('csv-export-confirm').disabled = !e.target.checked;
+        });
+
+        document.getElementById('csv-export-confirm').addEventListener('click', () => {
+            this.exportCsv();
+        });
+
+        // Generator options regenerate on every change
+        document.getElementById('generator-form').addEventListener('input', () => {
+            this.refreshGenerator();
+        });
+
+        document.getElementById('generator-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+
+        document.getElementById('generator-refresh').addEventListener('click', () => {
+            this.refreshGenerator();
+        });
+
+        document.getElementById('generator-copy').addEventListener('click', () => {
+            this.copyGeneratedPassword();
+        });
+
+        document.getElementById('generator-use').addEventListener('click', () => {
+            this.useGeneratedPassword();
+        });
+
+        // Command palette
+        document.getElementById('palette-search').addEventListener('input', () => {
+            this.updatePaletteResults();
+        });
+
+        document.getElementById('palette-search').addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const action = e.ctrlKey || e.metaKey ? 'open' : e.shiftKey ? 'username' : e.altKey ? 'totp' : 'password';
+                this.runPaletteAction(this.paletteIndex, action);
+            }
+        });
+
+        // Clicking a result copies its password; its buttons pick another action
+        document.getElementById('palette-results').addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (!item) return;
+            const button = e.target.closest('[data-action]');
+            this.runPaletteAction(Number(item.dataset.index), button ? button.dataset.action : 'password');
+        });
+
+        document.getElementById('command-palette').addEventListener('click', (e) => {
+            if (e.target.id === 'command-palette') {
+                this.closeCommandPalette();
+            }
+        });
+
         // Change password form
-        document.getElementById('change-password-form').addEventListener('submit', (e) => {
+        document.getElementById('change-password-form').addEventListener('submit', async (e) => {
             e.preventDefault();
             const currentPassword = document.getElementById('current-password').value;
             const newPassword = document.getElementById('new-master-password').value;
@@ -567,8 +3997,11 @@ class SecurePass {
                 return;
             }
             
-            const result = this.changePassword(currentPassword, newPassword);
+            const result = await this.changePassword(currentPassword, newPassword);
             if (result.success) {
+                if (result.syncQueued) {
+                    this.syncNow();
+                }
                 this.showMessage(result.message, 'success');
                 this.closeChangePasswordModal();
             } else {
@@ -587,40 +4020,34 @@ class SecurePass {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'n') {
+            if (e.ctrlKey && e.key === 'n' && this.isAuthenticated) {
                 e.preventDefault();
                 this.showAddPasswordModal();
             }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'k' && this.isAuthenticated) {
+                e.preventDefault();
+                if (document.getElementById('command-palette').style.display === 'block') {
+                    this.closeCommandPalette();
+                } else {
+                    this.showCommandPalette();
+                }
+            }
             if (e.key === 'Escape') {
                 this.closeAddPasswordModal();
+                this.closeHistoryModal();
+                this.closeGeneratorModal();
+                this.closeImportModal();
+                this.closeTwoFactorPasswordModal();
+                this.closeActivityModal();
+                this.closeSyncConnectModal();
+                this.closeSyncConflictModal();
+                this.closeShareModal();
+                this.closeRecoveryPasswordModal();
+                this.closeCommandPalette();
             }
         });
     }
 }
 
-// Global functions for HTML onclick handlers
-function showSection(sectionId) {
-    securePass.showSection(sectionId);
-}
-
-function showAddPasswordModal() {
-    securePass.showAddPasswordModal();
-}
-
-function closeAddPasswordModal() {
-    securePass.closeAddPasswordModal();
-}
-
-function generateRandomPassword() {
-    securePass.generateRandomPassword();
-}
-
-function generatePassword() {
-    securePass.showAddPasswordModal();
-    setTimeout(() => {
-        securePass.generateRandomPassword();
-    }, 100);
-}
-
 // Initialize the application
 const securePass = new SecurePass();
\ No newline at end of file
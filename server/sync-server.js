@@ -0,0 +1,246 @@
+// SecurePass - Sync Server
+// Stores each account's vault as opaque ciphertext: entries arrive already encrypted with the vault key,
+// the account id is a hash of the email and the wrapped vault key can only be opened with the master password.
+//
+// Usage: node server/sync-server.js
+//   PORT          port to listen on (default 8787)
+//   HOST          interface to bind (default 127.0.0.1)
+//   DATA_DIR      where account files are kept (default ./sync-data)
+//   ALLOW_ORIGIN  origin allowed to call the API from a browser (default *)
+
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'sync-data');
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || '*';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const ACCOUNT_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Account files are read-modify-written; one queue per account keeps concurrent requests from interleaving
+const accountQueues = new Map();
+
+function withAccount(accountId, task) {
+    const previous = accountQueues.get(accountId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    accountQueues.set(accountId, next);
+    next.finally(() => {
+        if (accountQueues.get(accountId) === next) accountQueues.delete(accountId);
+    }).catch(() => {});
+    return next;
+}
+
+function accountFile(accountId) {
+    return path.join(DATA_DIR, `${accountId}.json`);
+}
+
+async function readAccount(accountId) {
+    try {
+        return JSON.parse(await fs.readFile(accountFile(accountId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves a half-written account behind
+async function writeAccount(accountId, record) {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const file = accountFile(accountId);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(record));
+    await fs.rename(temporary, file);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function readToken(request) {
+    const match = /^Bearer ([a-f0-9]{64})$/i.exec(request.headers.authorization || '');
+    if (!match) throw new HttpError(401, 'Missing or malformed sync token');
+    return match[1].toLowerCase();
+}
+
+function authorize(record, token) {
+    if (!record) throw new HttpError(404, 'No vault is stored for this account');
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        throw new HttpError(401, 'Sync token rejected');
+    }
+}
+
+function isCiphertext(value) {
+    return Boolean(value) && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+// The account blob is the vault key wrapped by the master password; nothing in it is readable here
+function validateAccount(account) {
+    if (!account || !account.vault || typeof account.vault.key !== 'string') {
+        throw new HttpError(400, 'Account must include the wrapped vault key');
+    }
+    return { vault: account.vault };
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    if (size === 0) return {};
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be JSON');
+    }
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Route handlers: each runs inside the account's queue and returns [status, body]
+const handlers = {
+    // Register a new account with the token every later request must present
+    async createAccount(accountId, token, body) {
+        if (await readAccount(accountId)) {
+            throw new HttpError(409, 'An account already exists for this email');
+        }
+        const record = {
+            tokenHash: hashToken(token),
+            account: validateAccount(body.account),
+            seq: 0,
+            entries: {},
+            createdAt: new Date().toISOString()
+        };
+        await writeAccount(accountId, record);
+        return [201, { account: record.account, seq: 0 }];
+    },
+
+    async getAccount(accountId, token) {
+        const record = await readAccount(accountId);
+        authorize(record, token);
+        return [200, { account: record.account, seq: record.seq }];
+    },
+
+    // After a master password change: new wrapped key, and the token derived from the new password
+    async updateAccount(accountId, token, body) {
+        const record = await readAccount(accountId);
+        authorize(record, token);
+        record.account = validateAccount(body.account);
+        if (body.token !== undefined) {
+            if (!/^[a-f0-9]{64}$/.test(body.token)) throw new HttpError(400, 'Malformed sync token');
+            record.tokenHash = hashToken(body.token);
+        }
+        await writeAccount(accountId, record);
+        return [200, { account: record.account, seq: record.seq }];
+    },
+
+    // Every entry revision written after the given sequence number, tombstones included
+    async listEntries(accountId, token, body, query) {
+        const record = await readAccount(accountId);
+        authorize(record, token);
+        const since = Number(query.get('since')) || 0;
+        const entries = Object.values(record.entries)
+            .filter(entry => entry.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+        return [200, { seq: record.seq, entries }];
+    },
+
+    // Each change names the revision it was based on; a stale base is a conflict and is not applied
+    async pushEntries(accountId, token, body) {
+        const record = await readAccount(accountId);
+        authorize(record, token);
+        if (!Array.isArray(body.changes)) throw new HttpError(400, 'Expected a list of changes');
+
+        const results = body.changes.map(change => {
+            const id = String(change.id);
+            const current = record.entries[id];
+            const currentRevision = current ? current.revision : 0;
+
+            if (change.baseRevision !== currentRevision) {
+                return { id: change.id, status: 'conflict', entry: current };
+            }
+            if (!change.deleted && !isCiphertext(change.data)) {
+                return { id: change.id, status: 'rejected', message: 'Entry data must be encrypted' };
+            }
+
+            record.seq++;
+            record.entries[id] = {
+                id: change.id,
+                revision: currentRevision + 1,
+                seq: record.seq,
+                deleted: Boolean(change.deleted),
+                data: change.deleted ? null : { iv: change.data.iv, data: change.data.data }
+            };
+            return { id: change.id, status: 'applied', revision: currentRevision + 1 };
+        });
+
+        await writeAccount(accountId, record);
+        return [200, { seq: record.seq, results }];
+    }
+};
+
+function route(method, pathname) {
+    const match = /^\/api\/accounts\/([^/]+)(\/entries)?$/.exec(pathname);
+    if (!match) throw new HttpError(404, 'Not found');
+    if (!ACCOUNT_ID_PATTERN.test(match[1])) throw new HttpError(400, 'Malformed account id');
+
+    const name = match[2]
+        ? { GET: 'listEntries', POST: 'pushEntries' }[method]
+        : { GET: 'getAccount', POST: 'createAccount', PUT: 'updateAccount' }[method];
+    if (!name) throw new HttpError(405, 'Method not allowed');
+    return { accountId: match[1], handler: handlers[name] };
+}
+
+async function handleRequest(request, response) {
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+
+    try {
+        const url = new URL(request.url, 'http://localhost');
+        const { accountId, handler } = route(request.method, url.pathname);
+        const token = readToken(request);
+        const body = await readBody(request);
+        const [status, result] = await withAccount(accountId, () => handler(accountId, token, body, url.searchParams));
+        send(response, status, result);
+    } catch (error) {
+        if (!(error instanceof HttpError)) console.error(error);
+        send(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+    }
+}
+
+function createServer() {
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, HOST, () => {
+        console.log(`SecurePass sync server listening on http://${HOST}:${PORT} (data in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,205 @@
+// SecurePass - Storage Layer
+// Adapters persist plain values under logical keys ('users', 'passwords_<id>', ...); VaultStorage keeps them
+// cached in memory so the app can read synchronously, and writes through to the adapter in order.
+
+// Bump together with a new MIGRATIONS step whenever the shape of stored data changes
+const SCHEMA_VERSION = 1;
+
+// Each step upgrades data written at the previous version. Never edit a released step; add a new one.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in item type, organization and history fields on entries saved before they existed',
+        migrate(storage) {
+            storage.get('users', []).forEach(user => {
+                const key = `passwords_${user.id}`;
+                const entries = storage.get(key);
+                if (!entries) return;
+
+                storage.set(key, entries.map(entry => ({
+                    type: 'login',
+                    totp: null,
+                    fields: {},
+                    customFields: [],
+                    folder: '',
+                    tags: [],
+                    favorite: false,
+                    history: [],
+                    ...entry,
+                    updatedAt: entry.updatedAt || entry.createdAt || new Date().toISOString()
+                })));
+            });
+        }
+    }
+];
+
+// Values are JSON-encoded under 'securepass_<key>', the same keys builds before the storage layer used
+class LocalStorageAdapter {
+    constructor(prefix = 'securepass_') {
+        this.prefix = prefix;
+    }
+
+    async getAll() {
+        const entries = new Map();
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+            try {
+                entries.set(key.slice(this.prefix.length), JSON.parse(localStorage.getItem(key)));
+            } catch (error) {
+                console.warn(`SecurePass: ignoring unreadable localStorage key ${key}`);
+            }
+        }
+        return entries;
+    }
+
+    async set(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+}
+
+// One object store of structured-clone values; not size-capped like localStorage
+class IndexedDBAdapter {
+    constructor(databaseName = 'securepass', storeName = 'data') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Close other SecurePass tabs and reload'));
+            });
+        }
+        return this.database;
+    }
+
+    // Resolves with the results of the requests run() returns, once the transaction has committed
+    async transaction(mode, run) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const requests = [].concat(run(transaction.objectStore(this.storeName)));
+            transaction.oncomplete = () => resolve(requests.map(request => request.result));
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async getAll() {
+        const [keys, values] = await this.transaction('readonly', store => [store.getAllKeys(), store.getAll()]);
+        return new Map(keys.map((key, index) => [key, values[index]]));
+    }
+
+    async set(key, value) {
+        await this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+class VaultStorage {
+    // legacyAdapter: data found there is moved into adapter on first run, then deleted
+    constructor(adapter, legacyAdapter = null) {
+        this.adapter = adapter;
+        this.legacyAdapter = legacyAdapter;
+        this.cache = new Map();
+        this.writes = Promise.resolve();
+        this.writeError = null;
+        this.onWriteError = null;
+    }
+
+    // IndexedDB where the browser has it, otherwise localStorage
+    static createDefault() {
+        return IndexedDBAdapter.isSupported()
+            ? new VaultStorage(new IndexedDBAdapter(), new LocalStorageAdapter())
+            : new VaultStorage(new LocalStorageAdapter());
+    }
+
+    async init() {
+        this.cache = await this.adapter.getAll();
+        if (this.legacyAdapter && this.cache.size === 0) {
+            await this.importLegacyData();
+        }
+        await this.migrate();
+    }
+
+    // Values are returned by reference; write them back with set() after changing them
+    get(key, fallback = null) {
+        return this.cache.has(key) ? this.cache.get(key) : fallback;
+    }
+
+    set(key, value) {
+        this.cache.set(key, value);
+        return this.enqueue(() => this.adapter.set(key, value));
+    }
+
+    remove(key) {
+        this.cache.delete(key);
+        return this.enqueue(() => this.adapter.remove(key));
+    }
+
+    // Writes run one at a time in call order; a failure is reported without blocking later writes
+    enqueue(write) {
+        this.writes = this.writes.then(write).catch(error => {
+            this.writeError = error;
+            console.error('SecurePass: failed to persist data', error);
+            if (this.onWriteError) this.onWriteError(error);
+        });
+        return this.writes;
+    }
+
+    flush() {
+        return this.writes;
+    }
+
+    // Old data is only deleted once every value has been written to the new backend
+    async importLegacyData() {
+        const legacy = await this.legacyAdapter.getAll();
+        if (legacy.size === 0) return;
+
+        for (const [key, value] of legacy) {
+            await this.adapter.set(key, value);
+            this.cache.set(key, value);
+        }
+        for (const key of legacy.keys()) {
+            await this.legacyAdapter.remove(key);
+        }
+    }
+
+    // Steps are persisted one at a time, so a failure leaves data at the last version that completed
+    async migrate() {
+        const version = this.get('schemaVersion', 0);
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`This data was saved by a newer version of SecurePass (schema ${version}). Please update.`);
+        }
+
+        for (const migration of MIGRATIONS.filter(step => step.version > version)) {
+            migration.migrate(this);
+            this.set('schemaVersion', migration.version);
+            await this.flush();
+            if (this.writeError) {
+                throw new Error(`Upgrading stored data failed at step ${migration.version}: ${this.writeError.message}`);
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SCHEMA_VERSION, LocalStorageAdapter, IndexedDBAdapter, VaultStorage };
+}
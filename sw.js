@@ -0,0 +1,71 @@
+// SecurePass - Service Worker
+// Serves the app shell from a versioned cache so the app starts offline. Only the files listed in APP_SHELL are
+// ever cached: vault data lives in IndexedDB, and sync, breach and icon requests always go to the network.
+//
+// Bump SHELL_VERSION with every deploy. The changed worker installs in the background and waits until the page
+// asks it to take over (the "new version" banner), so one tab never mixes files from two releases.
+
+const SHELL_VERSION = 2;
+const CACHE_PREFIX = 'securepass-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${SHELL_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'wordlist.js',
+    'storage.js',
+    'core.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+const SHELL_URLS = new Set(APP_SHELL.map(file => new URL(file, self.registration.scope).href));
+
+// 'reload' skips the HTTP cache, so a new release is never precached with files left over from the last one
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Anything that isn't a shell file is left to the browser untouched, and never stored
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    if (!SHELL_URLS.has(url.href)) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(url.href))
+            .then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { VaultCore } = require('../core.js');
+const { run } = require('../bin/securepass.js');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+let directory;
+let vaultFile;
+
+// Runs the CLI in-process and collects what it writes
+async function cli(args, env = { SECUREPASS_PASSPHRASE: PASSPHRASE }) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdin: { isTTY: false },
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } },
+        env
+    };
+    output.code = await run(args, io);
+    return output;
+}
+
+test.before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'securepass-cli-'));
+    vaultFile = path.join(directory, 'vault.json');
+
+    const core = new VaultCore();
+    core.vaultKey = await core.generateVaultKey();
+    const totp = core.parseTotp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ').totp;
+    core.passwords.push(
+        await core.createEntry('GitHub', 'ada', 'gh-secret', totp, { urls: [{ url: 'https://github.com/', match: 'domain' }] }),
+        await core.createEntry('Mail (work)', 'ada@work.example', 'work-secret', null, { urls: [{ url: 'https://mail.work.example/', match: 'host' }] }),
+        await core.createEntry('Mail (home)', 'ada@home.example', 'home-secret', null, {
+            customFields: [{ name: 'Recovery email', type: 'text', value: 'backup@home.example' }]
+        })
+    );
+    await fs.writeFile(vaultFile, JSON.stringify(await core.createBackup(PASSPHRASE)));
+});
+
+test.after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('list prints one line per entry, or JSON', async () => {
+    const { code, stdout } = await cli(['list', vaultFile, 'mail']);
+    assert.equal(code, 0);
+    assert.deepEqual(stdout.trim().split('\n').map(line => line.split('\t')[2]), ['Mail (work)', 'Mail (home)']);
+
+    const json = JSON.parse((await cli(['list', vaultFile, '--json'])).stdout);
+    assert.equal(json.length, 3);
+    assert.equal(json[0].url, 'https://github.com/');
+    assert.equal(JSON.stringify(json).includes('gh-secret'), false);
+});
+
+test('get prints the requested field of one entry', async () => {
+    assert.equal((await cli(['get', vaultFile, 'github'])).stdout, 'gh-secret\n');
+    assert.equal((await cli(['get', vaultFile, 'GitHub', '--field', 'username'])).stdout, 'ada\n');
+    assert.equal((await cli(['get', vaultFile, 'GitHub', '-f', 'url'])).stdout, 'https://github.com/\n');
+    assert.match((await cli(['get', vaultFile, 'GitHub', '--field', 'totp'])).stdout, /^\d{6}\n$/);
+    assert.equal((await cli(['get', vaultFile, 'Mail (home)', '--field', 'recovery email'])).stdout, 'backup@home.example\n');
+});
+
+test('get finds entries by page URL using their match rules', async () => {
+    assert.equal((await cli(['get', vaultFile, 'https://gist.github.com/ada'])).stdout, 'gh-secret\n');
+    assert.equal((await cli(['get', vaultFile, 'mail.work.example/inbox'])).stdout, 'work-secret\n');
+});
+
+test('get refuses to guess between several entries', async () => {
+    const { code, stdout, stderr } = await cli(['get', vaultFile, 'mail']);
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /"mail" matches 2 entries; use the id/);
+
+    const missing = await cli(['get', vaultFile, 'GitHub', '--field', 'pin']);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /GitHub has no field "pin"/);
+});
+
+test('add saves a new entry and prints the generated password', async () => {
+    const added = await cli(['add', vaultFile, 'Bank', '-u', 'ada', '--url', 'bank.example', '--length', '24', '--no-symbols']);
+    assert.equal(added.code, 0);
+    assert.match(added.stderr, /^Added Bank \(id \d+\)\n$/);
+    const password = added.stdout.trim();
+    assert.match(password, /^[A-Za-z0-9]{24}$/);
+
+    assert.equal((await cli(['get', vaultFile, 'https://bank.example/login'])).stdout, `${password}\n`);
+    assert.equal((await cli(['list', vaultFile])).stdout.trim().split('\n').length, 4);
+
+    const given = await cli(['add', vaultFile, 'Shop', '--password', 'chosen']);
+    assert.equal(given.stdout, '');
+    assert.equal((await cli(['get', vaultFile, 'Shop'])).stdout, 'chosen\n');
+});
+
+test('export prints every login as CSV or every entry as JSON', async () => {
+    const csv = (await cli(['export', vaultFile])).stdout;
+    assert.match(csv, /^name,url,username,password\r\n/);
+    assert.match(csv, /GitHub,https:\/\/github\.com\/,ada,gh-secret/);
+
+    const { entries } = JSON.parse((await cli(['export', vaultFile, '--format', 'json'])).stdout);
+    assert.equal(entries.find(entry => entry.website === 'GitHub').totp.secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+    assert.equal((await cli(['export', vaultFile, '--format', 'xml'])).code, 1);
+});
+
+test('generate needs no vault', async () => {
+    assert.match((await cli(['generate', '--length', '40'], {})).stdout, /^\S{40}\n$/);
+    assert.equal((await cli(['generate', '--passphrase', '--words', '5', '--separator', '+'], {})).stdout.trim().split('+').length, 5);
+    assert.match((await cli(['generate', '--length', '2'], {})).stderr, /--length must be a whole number from 4 to 128/);
+});
+
+test('a wrong or missing passphrase is reported, not thrown', async () => {
+    const wrong = await cli(['list', vaultFile], { SECUREPASS_PASSPHRASE: 'not the passphrase' });
+    assert.equal(wrong.code, 1);
+    assert.match(wrong.stderr, /Wrong passphrase/);
+
+    const missing = await cli(['list', vaultFile], {});
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /Set SECUREPASS_PASSPHRASE/);
+});
+
+test('usage errors exit with 2', async () => {
+    assert.equal((await cli([])).code, 2);
+    assert.equal((await cli(['frobnicate'])).code, 2);
+    assert.equal((await cli(['list', '--colour'])).code, 2);
+    const help = await cli(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: securepass/);
+});
@@ -0,0 +1,615 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VaultCore, DEFAULT_GENERATOR_OPTIONS } = require('../core.js');
+const { VaultStorage } = require('../storage.js');
+
+// Keeps values in a Map, the way the browser adapters keep them in localStorage or IndexedDB
+class MemoryAdapter {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async getAll() {
+        return new Map(this.values);
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+}
+
+async function createCore() {
+    const storage = new VaultStorage(new MemoryAdapter());
+    await storage.init();
+    const core = new VaultCore(storage);
+    core.users = core.loadUsers();
+    return core;
+}
+
+async function unlockedCore() {
+    const core = new VaultCore();
+    core.vaultKey = await core.generateVaultKey();
+    return core;
+}
+
+test('master password hashes verify only the right password', async () => {
+    const core = new VaultCore();
+    const record = await core.hashPassword('Correct-Horse-1');
+
+    assert.equal(record.algorithm, 'PBKDF2-SHA256');
+    assert.equal(await core.verifyPassword('Correct-Horse-1', record), true);
+    assert.equal(await core.verifyPassword('correct-horse-1', record), false);
+    // Records from builds before hashing were Base64 of the password and a fixed suffix
+    assert.equal(await core.verifyPassword('legacy', btoa('legacysalt')), true);
+    assert.equal(await core.verifyPassword('other', btoa('legacysalt')), false);
+});
+
+test('password requirements flag each missing rule', () => {
+    const core = new VaultCore();
+    assert.deepEqual(core.checkPasswordRequirements('abc'), {
+        length: false, uppercase: false, lowercase: true, number: false, special: false
+    });
+    assert.ok(Object.values(core.checkPasswordRequirements('Passw0rd!')).every(Boolean));
+});
+
+test('accounts sign in with their password and lock out after repeated failures', async () => {
+    const core = await createCore();
+    const created = await core.createUser('Ada', 'ada@example.com', 'Passw0rd!');
+    assert.equal(created.success, true);
+    assert.match(created.recoveryKey, /^[A-Z2-7]{4}(-[A-Z2-7]{1,4})+$/);
+    assert.equal((await core.createUser('Ada', 'ada@example.com', 'Other1!')).success, false);
+
+    const signedIn = await core.authenticateUser('ada@example.com', 'Passw0rd!');
+    assert.equal(signedIn.success, true);
+    assert.ok(core.vaultKey);
+    assert.ok(core.users[0].keyPair, 'sharing key pair is created on first sign-in');
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const result = await core.authenticateUser('ada@example.com', 'wrong');
+        assert.equal(result.message, 'Invalid password');
+    }
+    const locked = await core.authenticateUser('ada@example.com', 'wrong');
+    assert.match(locked.message, /Too many failed attempts, try again in 30 seconds/);
+    assert.match((await core.authenticateUser('ada@example.com', 'Passw0rd!')).message, /^Too many failed attempts/);
+
+    const types = core.loadActivity(core.users[0].id).map(event => event.type);
+    assert.deepEqual(types, ['sign-in-failed', 'sign-in-failed', 'sign-in-failed', 'sign-in-failed', 'lockout']);
+});
+
+test('an email typed with other casing or spacing is the same account and the same lockout', async () => {
+    const core = await createCore();
+    await core.createUser('Ada', 'Ada@Example.com', 'Passw0rd!');
+    assert.equal((await core.createUser('Ada', 'ada@example.com ', 'Passw0rd!')).success, false);
+
+    assert.equal((await core.authenticateUser(' ADA@example.COM', 'Passw0rd!')).success, true);
+    for (const typed of ['ada@example.com', 'ADA@EXAMPLE.COM', ' Ada@Example.com', 'aDa@example.com']) {
+        await core.authenticateUser(typed, 'wrong');
+    }
+    assert.match((await core.authenticateUser('Ada@Example.com', 'Passw0rd!')).message, /^Too many failed attempts/);
+    assert.deepEqual(Object.keys(core.loadLockouts()), ['ada@example.com']);
+});
+
+test('the recovery key opens the same vault key as the master password', async () => {
+    const core = await createCore();
+    const { recoveryKey } = await core.createUser('Ada', 'ada@example.com', 'Passw0rd!');
+    const user = core.users[0];
+
+    const fromPassword = await core.unwrapVaultKey('Passw0rd!', user.vault, true);
+    const typed = recoveryKey.toLowerCase().replace(/-/g, ' ');
+    const fromRecovery = await core.unwrapVaultKey(core.normalizeRecoveryKey(typed), user.recovery.vault, true);
+    const raw = async key => Buffer.from(await crypto.subtle.exportKey('raw', key)).toString('hex');
+    assert.equal(await raw(fromRecovery), await raw(fromPassword));
+});
+
+async function signedInWithEntry() {
+    const core = await createCore();
+    const { recoveryKey } = await core.createUser('Ada', 'ada@example.com', 'Passw0rd!');
+    core.currentUser = (await core.authenticateUser('ada@example.com', 'Passw0rd!')).user;
+    const entry = await core.createEntry('github.com', 'ada', 's3cret');
+    return { core, recoveryKey, entry };
+}
+
+// A fresh session over the same storage, as after a reload
+async function openVault(core, password) {
+    const session = new VaultCore(core.storage);
+    session.users = session.loadUsers();
+    const result = await session.authenticateUser('ada@example.com', password);
+    return { result, session };
+}
+
+test('a master password change keeps the vault readable under the new password only', async () => {
+    const { core, recoveryKey, entry } = await signedInWithEntry();
+
+    assert.equal((await core.changePassword('wrong', 'NewPassw0rd!')).message, 'Current password is incorrect');
+    assert.equal((await core.changePassword('Passw0rd!', 'weak')).message, 'New password does not meet requirements');
+    assert.deepEqual(await core.changePassword('Passw0rd!', 'NewPassw0rd!'), {
+        success: true, message: 'Password changed successfully!', syncQueued: false
+    });
+
+    assert.equal((await openVault(core, 'Passw0rd!')).result.message, 'Invalid password');
+    const { result, session } = await openVault(core, 'NewPassw0rd!');
+    assert.equal(result.success, true);
+    assert.equal(await session.decryptPassword(entry.password), 's3cret');
+
+    // The emergency kit wraps the vault key on its own, so it keeps working
+    const user = session.users[0];
+    await assert.doesNotReject(session.unwrapVaultKey(session.normalizeRecoveryKey(recoveryKey), user.recovery.vault));
+});
+
+test('the emergency kit resets a forgotten password, and a new kit retires the old key', async () => {
+    const { core, recoveryKey, entry } = await signedInWithEntry();
+
+    assert.equal((await core.recoverAccount('ada@example.com', 'AAAA-BBBB', 'NewPassw0rd!')).message, 'Invalid recovery key');
+    assert.equal((await core.recoverAccount('ada@example.com', recoveryKey, 'weak')).success, false);
+    const typed = recoveryKey.toLowerCase().replace(/-/g, ' ');
+    assert.equal((await core.recoverAccount('ada@example.com', typed, 'NewPassw0rd!')).success, true);
+
+    assert.equal((await openVault(core, 'Passw0rd!')).result.message, 'Invalid password');
+    const { result, session } = await openVault(core, 'NewPassw0rd!');
+    assert.equal(result.success, true);
+    assert.equal(await session.decryptPassword(entry.password), 's3cret');
+
+    session.currentUser = result.user;
+    assert.equal((await session.regenerateRecoveryKit('Passw0rd!')).message, 'Master password is incorrect');
+    const kit = await session.regenerateRecoveryKit('NewPassw0rd!');
+    assert.notEqual(kit.recoveryKey, recoveryKey);
+    assert.equal((await session.recoverAccount('ada@example.com', recoveryKey, 'Another1!')).message, 'Invalid recovery key');
+    assert.equal((await session.recoverAccount('ada@example.com', kit.recoveryKey, 'Another1!')).success, true);
+    const reopened = await openVault(core, 'Another1!');
+    assert.equal(await reopened.session.decryptPassword(entry.password), 's3cret');
+});
+
+test('two-factor sign-in needs an authenticator or single-use backup code once enabled', async () => {
+    const { core } = await signedInWithEntry();
+    core.startTwoFactorEnrollment();
+    assert.equal((await core.confirmTwoFactorEnrollment('000000')).success, false);
+    const { backupCodes } = await core.confirmTwoFactorEnrollment(await core.generateTotp(core.pendingTwoFactor));
+    assert.equal(backupCodes.length, 10);
+
+    const { result, session } = await openVault(core, 'Passw0rd!');
+    assert.equal(result.requiresTwoFactor, true);
+    assert.equal(session.vaultKey, null);
+    const second = await session.verifySecondFactor(backupCodes[0]);
+    assert.equal(second.success, true);
+    assert.equal(second.backupCodesLeft, 9);
+
+    const again = await openVault(core, 'Passw0rd!');
+    assert.equal((await again.session.verifySecondFactor(backupCodes[0])).message, 'Invalid backup code');
+
+    core.currentUser = second.user;
+    assert.equal((await core.disableTwoFactor('Passw0rd!')).success, true);
+    assert.equal((await openVault(core, 'Passw0rd!')).result.success, true);
+});
+
+// Two accounts on one browser: separate sessions over the same storage. ownerEdit runs after the recipient's
+// edit is written and before the owner merges it
+async function shareBetween(permission, ownerEdit = async () => {}) {
+    const owner = await createCore();
+    await owner.createUser('Ada', 'ada@example.com', 'Passw0rd!');
+    await owner.createUser('Bob', 'bob@example.com', 'Passw0rd!');
+    const recipient = new VaultCore(owner.storage);
+    recipient.users = recipient.loadUsers();
+
+    recipient.currentUser = (await recipient.authenticateUser('bob@example.com', 'Passw0rd!')).user;
+    owner.currentUser = (await owner.authenticateUser('ada@example.com', 'Passw0rd!')).user;
+    const entry = await owner.createEntry('github.com', 'ada', 'owner-secret');
+    owner.passwords.push(entry);
+    assert.equal((await owner.createShare(entry.id, 'BOB@example.com', permission)).success, true);
+
+    // What the recipient's session writes when it saves an edit to the shared copy
+    const share = recipient.loadShares()[0];
+    const payload = { ...owner.toSharePayload(await owner.decryptEntry(entry)), password: 'recipient-edit', updatedAt: '2026-02-01T00:00:00.000Z' };
+    share.data = await recipient.encryptPassword(JSON.stringify(payload), await recipient.openShareKey(share));
+    share.updatedBy = recipient.currentUser.id;
+    share.updatedAt = payload.updatedAt;
+    recipient.saveShares([share]);
+
+    await ownerEdit(owner, entry);
+    return { owner, recipient, entry, changed: await owner.mergeShareEdits() };
+}
+
+test('edits from a recipient with edit access land in the owner\'s entry', async () => {
+    const { owner, entry, changed } = await shareBetween('edit');
+    assert.deepEqual(changed, [entry]);
+    const plain = await owner.decryptEntry(entry);
+    assert.equal(plain.password, 'recipient-edit');
+    assert.deepEqual(plain.history.map(item => item.password), ['owner-secret']);
+});
+
+test('an edit to an older version than the owner\'s entry is kept as a copy beside it', async () => {
+    const { owner, recipient, entry, changed } = await shareBetween('edit', async (core, edited) => {
+        await core.changeEntryPassword(edited, 'owner-newer', '2026-03-01T00:00:00.000Z');
+        edited.updatedAt = '2026-03-01T00:00:00.000Z';
+    });
+
+    assert.equal(await owner.decryptPassword(entry.password), 'owner-newer');
+    assert.equal(changed.length, 1);
+    assert.notEqual(changed[0].id, entry.id);
+    assert.deepEqual(owner.passwords, [entry, changed[0]]);
+    assert.equal(await owner.decryptPassword(changed[0].password), 'recipient-edit');
+    assert.match(owner.loadActivity(owner.currentUser.id).at(-1).details, /conflicting edit by bob@example\.com kept as a copy/);
+
+    // The recipient sees the owner's version again
+    const share = recipient.loadShares()[0];
+    assert.equal(share.updatedBy, owner.currentUser.id);
+    assert.equal(share.entryUpdatedAt, entry.updatedAt);
+    const copy = JSON.parse(await recipient.decryptPassword(share.data, await recipient.openShareKey(share)));
+    assert.equal(copy.password, 'owner-newer');
+});
+
+test('edits written to a read-only share are discarded and the owner\'s copy restored', async () => {
+    const { owner, recipient, entry, changed } = await shareBetween('read');
+    assert.deepEqual(changed, []);
+    assert.equal(await owner.decryptPassword(entry.password), 'owner-secret');
+    assert.deepEqual(entry.history, []);
+
+    const share = recipient.loadShares()[0];
+    assert.equal(share.updatedBy, owner.currentUser.id);
+    const copy = JSON.parse(await recipient.decryptPassword(share.data, await recipient.openShareKey(share)));
+    assert.equal(copy.password, 'owner-secret');
+});
+
+// Connects the core to a stand-in sync server that applies every push and records each request
+async function connectSync(core, onPull = () => {}) {
+    const requests = [];
+    let seq = 0;
+    core.saveSyncState({
+        server: 'https://sync.example', accountId: 'account', token: await core.encryptPassword('token'),
+        cursor: 0, base: {}, lastSyncedAt: null
+    });
+    core.syncRequest = async (connection, method, path, body) => {
+        requests.push({ method, path, body });
+        if (method === 'GET') {
+            onPull();
+            return { seq, entries: [] };
+        }
+        return { results: body.changes.map(change => ({ id: change.id, status: 'applied', revision: ++seq })) };
+    };
+    return requests;
+}
+
+function pushedChanges(requests) {
+    const push = requests.find(request => request.method === 'POST');
+    return push ? push.body.changes.map(change => [change.id, change.deleted]) : [];
+}
+
+test('a sync round pushes new entries, then only what changed or was deleted here', async () => {
+    const { core, entry } = await signedInWithEntry();
+    core.passwords.push(entry);
+    const other = await core.createEntry('mail.example', 'ada', 'm41l');
+    core.passwords.push(other);
+    const requests = await connectSync(core);
+
+    assert.deepEqual(await core.syncVault(), { conflicts: [], changed: false });
+    assert.deepEqual(pushedChanges(requests), [[entry.id, false], [other.id, false]]);
+    assert.ok(core.loadSyncState().lastSyncedAt);
+
+    requests.length = 0;
+    core.passwords = [entry];
+    await core.syncVault();
+    assert.deepEqual(pushedChanges(requests), [[other.id, true]]);
+});
+
+test('locking mid-sync sends no deletions and saves nothing', async () => {
+    const { core, entry } = await signedInWithEntry();
+    core.passwords.push(entry);
+    let onPull = () => {};
+    const requests = await connectSync(core, () => onPull());
+    await core.syncVault();
+    const { vaultKey } = core;
+    const { lastSyncedAt } = core.loadSyncState();
+    const lock = () => {
+        core.passwords = [];
+        core.vaultKey = null;
+    };
+
+    // While the pull is in flight
+    requests.length = 0;
+    onPull = lock;
+    assert.equal(await core.syncVault(), null);
+    assert.deepEqual(requests.map(request => request.method), ['GET']);
+
+    // While local entries are being hashed, after the pull
+    onPull = () => {};
+    core.passwords = [entry];
+    core.vaultKey = vaultKey;
+    requests.length = 0;
+    const hash = core.hashSyncEntry.bind(core);
+    core.hashSyncEntry = async item => {
+        const result = await hash(item);
+        lock();
+        return result;
+    };
+    assert.equal(await core.syncVault(), null);
+    assert.deepEqual(requests.map(request => request.method), ['GET']);
+    assert.equal(core.loadSyncState().lastSyncedAt, lastSyncedAt);
+});
+
+test('entries keep secrets encrypted and decrypt back to what was saved', async () => {
+    const core = await unlockedCore();
+    const totp = core.parseTotp('JBSWY3DPEHPK3PXP').totp;
+    const entry = await core.createEntry('github.com', 'ada', 's3cret', totp, {
+        customFields: [{ name: 'PIN', type: 'hidden', value: '1234' }, { name: 'Plan', type: 'text', value: 'Pro' }],
+        tags: ['work']
+    });
+
+    assert.notEqual(entry.password, 's3cret');
+    assert.equal(typeof entry.customFields[0].value, 'object');
+    assert.equal(entry.customFields[1].value, 'Pro');
+    assert.deepEqual(entry.urls, [{ url: 'https://github.com/', match: 'domain' }]);
+
+    const plain = await core.decryptEntry(entry);
+    assert.equal(plain.password, 's3cret');
+    assert.deepEqual(plain.totp, totp);
+    assert.equal(plain.customFields[0].value, '1234');
+
+    const note = await core.createEntry('Recipe', '', '', null, { type: 'note', fields: { notes: 'Add salt' } });
+    assert.notEqual(note.fields.notes, 'Add salt');
+    assert.equal((await core.decryptEntry(note)).fields.notes, 'Add salt');
+});
+
+test('changing an entry password keeps the old one in its history', async () => {
+    const core = await unlockedCore();
+    const entry = await core.createEntry('github.com', 'ada', 'first');
+
+    assert.equal(await core.changeEntryPassword(entry, 'first', '2026-01-01T00:00:00.000Z'), false);
+    assert.equal(await core.changeEntryPassword(entry, 'second', '2026-01-02T00:00:00.000Z'), true);
+    const plain = await core.decryptEntry(entry);
+    assert.equal(plain.password, 'second');
+    assert.deepEqual(plain.history, [{ password: 'first', changedAt: '2026-01-02T00:00:00.000Z' }]);
+});
+
+test('URLs are normalized to http(s) addresses of named hosts', () => {
+    const core = new VaultCore();
+    assert.equal(core.normalizeUrl('Example.com/login#top'), 'https://example.com/login');
+    assert.equal(core.normalizeUrl('http://localhost:8080'), 'http://localhost:8080/');
+    assert.equal(core.normalizeUrl('ftp://example.com'), null);
+    assert.equal(core.normalizeUrl('javascript:alert(1)'), null);
+    assert.equal(core.normalizeUrl('My App'), null);
+    assert.equal(core.getBaseDomain('shop.example.co.uk'), 'example.co.uk');
+    assert.equal(core.getBaseDomain('mail.google.com'), 'google.com');
+    assert.equal(core.getBaseDomain('192.168.0.1'), '192.168.0.1');
+});
+
+test('each URL rule matches the pages it should', () => {
+    const core = new VaultCore();
+    const page = new URL('https://accounts.example.com/login?next=1');
+    const rule = (match, url) => core.matchesUrlRule({ match, url }, page);
+
+    assert.equal(rule('domain', 'https://www.example.com/'), true);
+    assert.equal(rule('domain', 'https://example.org/'), false);
+    assert.equal(rule('host', 'https://accounts.example.com/'), true);
+    assert.equal(rule('host', 'https://example.com/'), false);
+    assert.equal(rule('prefix', 'https://accounts.example.com/login'), true);
+    assert.equal(rule('prefix', 'https://accounts.example.com/admin'), false);
+    assert.equal(rule('regex', '^https://[a-z]+\\.example\\.com/'), true);
+    assert.equal(rule('regex', '(unclosed'), false);
+    assert.equal(rule('never', 'https://accounts.example.com/'), false);
+});
+
+test('matching entries are ordered by how specific their rule is', () => {
+    const core = new VaultCore();
+    const entries = [
+        { id: 1, type: 'login', website: 'Domain', urls: [{ url: 'https://example.com/', match: 'domain' }] },
+        { id: 2, type: 'login', website: 'Prefix', urls: [{ url: 'https://example.com/app', match: 'prefix' }] },
+        { id: 3, type: 'login', website: 'Favorite', favorite: true, urls: [{ url: 'https://www.example.com/', match: 'domain' }] },
+        { id: 4, type: 'login', website: 'Never', urls: [{ url: 'https://example.com/', match: 'never' }] },
+        { id: 5, type: 'note', website: 'example.com' },
+        { id: 6, type: 'login', website: 'example.com' } // Saved before URL rules: matches its own domain
+    ];
+
+    const ids = core.findMatchingEntries(entries, 'https://example.com/app/home').map(match => match.entry.id);
+    assert.deepEqual(ids, [2, 3, 1, 6]);
+});
+
+test('TOTP codes match the RFC 6238 test vectors', async () => {
+    const core = new VaultCore();
+    const vectors = [
+        ['SHA1', 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 59, '94287082'],
+        ['SHA1', 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1111111109, '07081804'],
+        ['SHA256', 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA', 59, '46119246'],
+        ['SHA512', 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA', 59, '90693936']
+    ];
+    for (const [algorithm, secret, seconds, code] of vectors) {
+        assert.equal(await core.generateTotp({ algorithm, secret, digits: 8, period: 30 }, seconds * 1000), code);
+    }
+});
+
+test('authenticator keys are read from secrets and otpauth URIs', () => {
+    const core = new VaultCore();
+    assert.deepEqual(core.parseTotp('jbsw y3dp ehpk 3pxp').totp, { algorithm: 'SHA1', digits: 6, period: 30, secret: 'JBSWY3DPEHPK3PXP' });
+    assert.deepEqual(
+        core.parseTotp('otpauth://totp/Example:ada?secret=JBSWY3DPEHPK3PXP&algorithm=SHA256&digits=8&period=60').totp,
+        { secret: 'JBSWY3DPEHPK3PXP', algorithm: 'SHA256', digits: 8, period: 60 }
+    );
+    assert.deepEqual(core.parseTotp(''), { success: true, totp: null });
+    assert.equal(core.parseTotp('otpauth://hotp/x?secret=JBSWY3DPEHPK3PXP').message, 'Only time-based (TOTP) codes are supported');
+    assert.match(core.parseTotp('not base32!').message, /^Invalid TOTP secret/);
+});
+
+test('second-factor codes are accepted once, within one step of the clock', async () => {
+    const core = new VaultCore();
+    const config = { algorithm: 'SHA1', secret: 'JBSWY3DPEHPK3PXP', digits: 6, period: 30 };
+    const now = 1_700_000_000_000;
+    const previous = await core.generateTotp(config, now - 30000);
+
+    const counter = await core.verifyTotpCode(config, previous, -1, now);
+    assert.equal(counter, Math.floor(now / 30000) - 1);
+    assert.equal(await core.verifyTotpCode(config, previous, counter, now), null);
+    assert.equal(await core.verifyTotpCode(config, await core.generateTotp(config, now - 90000), -1, now), null);
+});
+
+test('generated passwords honour the length, classes and minimums', () => {
+    const core = new VaultCore();
+    const options = {
+        ...DEFAULT_GENERATOR_OPTIONS,
+        length: 12,
+        classes: { uppercase: false, lowercase: true, numbers: true, symbols: false },
+        minimums: { uppercase: 0, lowercase: 0, numbers: 10, symbols: 0 },
+        excludeSimilar: true
+    };
+
+    for (let i = 0; i < 20; i++) {
+        const { value } = core.generatePasswordString(options);
+        assert.match(value, /^[a-z0-9]{12}$/);
+        assert.ok(value.replace(/\D/g, '').length >= 10);
+        assert.doesNotMatch(value, /[l1o0]/);
+    }
+    assert.equal(core.generatePasswordString({ ...options, minimums: { numbers: 13 } }).message, 'Minimum counts exceed the password length');
+    assert.equal(core.generatePasswordString({ ...options, classes: {} }).message, 'Select at least one character type');
+
+    const passphrase = core.generateSecret({ ...DEFAULT_GENERATOR_OPTIONS, mode: 'passphrase', words: 6, separator: '.' });
+    assert.equal(passphrase.value.split('.').length, 6);
+    assert.ok(passphrase.entropy > 77);
+});
+
+test('strength estimates see through common passwords and patterns', () => {
+    const core = new VaultCore();
+    assert.equal(core.estimatePasswordStrength('P@ssw0rd').level, 'weak');
+    assert.deepEqual(core.estimatePasswordStrength('aaaaaaaa1987').warnings.sort(), ['Contains a year', 'Contains repeated characters']);
+    assert.equal(core.estimatePasswordStrength('q7#Vd!2mZx$9Lp&4').level, 'very-strong');
+});
+
+test('the security report flags breached, weak, reused, stale and nameless logins', async () => {
+    const core = await unlockedCore();
+    const add = async (...args) => {
+        const entry = await core.createEntry(...args);
+        core.passwords.push(entry);
+        return entry;
+    };
+    const first = await add('a.example', 'ada', 'x9$Lq2!vTr#8mWz&');
+    const second = await add('b.example', 'bob', 'x9$Lq2!vTr#8mWz&');
+    const risky = await add('c.example', '', 'password1');
+    Object.assign(risky, { createdAt: '2020-01-01T00:00:00.000Z', breach: { count: 3 } });
+    await add('Door code', '', null, null, { type: 'note', fields: { notes: '1234' } });
+
+    const report = await core.auditVault();
+    const ids = findings => findings.map(finding => finding.entry.id);
+    assert.deepEqual(ids(report.breached), [risky.id]);
+    assert.deepEqual(ids(report.weak), [risky.id]);
+    assert.deepEqual(ids(report.reused), [first.id, second.id]);
+    assert.deepEqual(ids(report.stale), [risky.id]);
+    assert.deepEqual(ids(report.missingUsername), [risky.id]);
+    // 70 for each reused login and 0 for the risky one, over the three logins
+    assert.equal(report.score, 47);
+
+    // Locking clears the key while the audit is still decrypting
+    const audit = core.auditVault();
+    core.passwords = [];
+    core.vaultKey = null;
+    await assert.doesNotReject(audit);
+});
+
+test('backups round-trip and reject a wrong passphrase or tampering', async () => {
+    const core = await unlockedCore();
+    core.passwords.push(await core.createEntry('github.com', 'ada', 's3cret'));
+    const backup = await core.createBackup('a long backup passphrase');
+    const text = JSON.stringify(backup);
+
+    const read = await core.readBackup(text, 'a long backup passphrase');
+    assert.equal(read.success, true);
+    assert.equal(read.entries[0].password, 's3cret');
+
+    assert.equal((await core.readBackup(text, 'the wrong passphrase')).message, 'Wrong passphrase, or the backup has been tampered with');
+    assert.equal((await core.readBackup(JSON.stringify({ ...backup, createdAt: '2000-01-01T00:00:00.000Z' }), 'a long backup passphrase')).success, false);
+    assert.equal((await core.readBackup(JSON.stringify({ ...backup, data: backup.data.slice(4) }), 'a long backup passphrase')).message, 'Backup file is corrupted (checksum mismatch)');
+    assert.equal((await core.readBackup('{}', 'x')).message, 'Not a SecurePass backup file');
+    const { version, ...unversioned } = backup;
+    assert.equal((await core.readBackup(JSON.stringify(unversioned), 'a long backup passphrase')).message, 'Backup file has no valid version');
+    assert.equal((await core.readBackup(JSON.stringify({ ...backup, version: '1' }), 'a long backup passphrase')).message, 'Backup file has no valid version');
+    assert.equal((await core.readBackup(JSON.stringify({ ...backup, version: version + 1 }), 'a long backup passphrase')).message, 'Backup was made by a newer version of SecurePass');
+
+    const opened = new VaultCore();
+    assert.equal((await opened.openBackup(text, 'a long backup passphrase')).success, true);
+    assert.equal(await opened.decryptPassword(opened.passwords[0].password), 's3cret');
+});
+
+test('restoring merges by id and keeps the newer copy, or replaces the vault', async () => {
+    const core = await unlockedCore();
+    const kept = await core.createEntry('a.example', 'ada', 'a-here');
+    core.passwords.push(kept);
+    const outdated = await core.createEntry('b.example', 'ada', 'b-here');
+    core.passwords.push(outdated);
+    const backup = [
+        { ...(await core.decryptEntry(kept)), password: 'a-backup', updatedAt: '2000-01-01T00:00:00.000Z' },
+        { ...(await core.decryptEntry(outdated)), password: 'b-backup', updatedAt: '2999-01-01T00:00:00.000Z' },
+        { ...(await core.decryptEntry(outdated)), id: 42, website: 'c.example', password: 'c-backup' }
+    ];
+
+    assert.deepEqual(await core.restoreEntries(backup, 'merge'), { added: 1, updated: 1, unchanged: 1 });
+    const passwords = await Promise.all(core.passwords.map(entry => core.decryptPassword(entry.password)));
+    assert.deepEqual(passwords, ['a-here', 'b-backup', 'c-backup']);
+
+    assert.deepEqual(await core.restoreEntries(backup.slice(0, 1), 'replace'), { added: 1, updated: 0, unchanged: 0 });
+    assert.equal(core.passwords.length, 1);
+    assert.equal(await core.decryptPassword(core.passwords[0].password), 'a-backup');
+});
+
+test('CSV exports parse back into the same cells', async () => {
+    const core = await unlockedCore();
+    core.passwords.push(await core.createEntry('Quotes "R" Us', 'ada', 'p,a"ss\nword', null, { urls: [{ url: 'https://quotes.example/', match: 'host' }] }));
+    core.passwords.push(await core.createEntry('Recipe', '', '', null, { type: 'note', fields: { notes: 'secret' } }));
+
+    const rows = core.parseCsv(await core.buildCsvExport());
+    assert.deepEqual(rows, [
+        ['name', 'url', 'username', 'password'],
+        ['Quotes "R" Us', 'https://quotes.example/', 'ada', 'p,a"ss\nword']
+    ]);
+    assert.throws(() => core.parseCsv('a,"b'), /ends inside a quoted field/);
+});
+
+test('imports map each manager\'s export onto logins and report the rows that don\'t fit', async () => {
+    const core = await unlockedCore();
+    const summary = ({ rows, errors }) => ({
+        rows: rows.map(row => [row.website, row.username, row.password, row.totp && row.totp.secret]),
+        errors
+    });
+
+    const chrome = 'name,url,username,password\r\nGitHub,https://github.com/login,ada,gh\r\nBroken,https://x.example/\r\n,,bob,\r\n';
+    assert.equal(core.detectImportFormat(chrome), 'chrome');
+    assert.deepEqual(summary(core.parseImportFile(chrome)), {
+        rows: [['GitHub', 'ada', 'gh', null]],
+        errors: [{ row: 3, message: 'Expected 4 columns, found 2' }, { row: 4, message: 'Missing password' }]
+    });
+
+    const lastpass = 'url,username,password,totp,extra,name,grouping,fav\r\nhttp://sn,,,,Door code,Home,,0\r\nhttps://bank.example/,ada,pw,JBSWY3DPEHPK3PXP,,,,0\r\n';
+    assert.deepEqual(summary(core.parseImportFile(lastpass)), {
+        rows: [['bank.example', 'ada', 'pw', 'JBSWY3DPEHPK3PXP']],
+        errors: [{ row: 2, message: 'Not a login, skipped' }]
+    });
+
+    const bitwarden = JSON.stringify({ items: [
+        { type: 1, name: 'Mail', login: { uris: [{ uri: 'https://mail.example/' }], username: 'ada', password: 'm41l' } },
+        { type: 2, name: 'Memo' }
+    ] });
+    assert.deepEqual(summary(core.parseImportFile(bitwarden)), {
+        rows: [['Mail', 'ada', 'm41l', null]],
+        errors: [{ row: 2, message: '"Memo" is not a login, skipped' }]
+    });
+    assert.match(core.parseImportFile('{"encrypted": true}').errors[0].message, /^Could not read file: Encrypted Bitwarden exports/);
+
+    assert.equal(core.parseImportFile('<KeePassFile/>').errors[0].message, 'Could not read file: KeePass XML can only be read in the browser');
+    assert.match(core.parseImportFile('just some text').errors[0].message, /^Unrecognized file format/);
+});
+
+test('imported duplicates are skipped, overwritten or kept beside the existing login', async () => {
+    const core = await unlockedCore();
+    const existing = await core.createEntry('GitHub', 'ADA', 'old');
+    core.passwords.push(existing);
+    const [row] = core.parseImportFile('name,url,username,password\r\nGitHub,https://github.com/,ada,new\r\n').rows;
+    assert.equal(core.findDuplicateEntry(row.website, row.username), existing);
+
+    const counts = await core.importEntries([
+        { ...row, duplicateId: existing.id, action: 'skip' },
+        { ...row, duplicateId: existing.id, action: 'overwrite' },
+        { ...row, duplicateId: existing.id, action: 'keep-both' }
+    ]);
+    assert.deepEqual(counts, { added: 1, updated: 1, skipped: 1 });
+    assert.equal(core.passwords.length, 2);
+    assert.equal(await core.decryptPassword(existing.password), 'new');
+    assert.deepEqual(await Promise.all(existing.history.map(item => core.decryptPassword(item.password))), ['old']);
+});
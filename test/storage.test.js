@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, VaultStorage } = require('../storage.js');
+
+// Keeps values in a Map, the way the browser adapters keep them in localStorage or IndexedDB
+class MemoryAdapter {
+    constructor(values = {}) {
+        this.values = new Map(Object.entries(values));
+    }
+
+    async getAll() {
+        return new Map(this.values);
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+}
+
+const ciphertext = { iv: 'aXY=', data: 'ZGF0YQ==' };
+
+test('the first migration fills in the fields entries saved before them lack', async () => {
+    const adapter = new MemoryAdapter({
+        users: [{ id: 1 }, { id: 2 }],
+        passwords_1: [
+            { id: 10, website: 'github.com', username: 'ada', password: ciphertext, createdAt: '2020-01-01T00:00:00.000Z' },
+            { id: 11, type: 'note', website: 'Door code', folder: 'Home', tags: ['house'], updatedAt: '2021-06-01T00:00:00.000Z' }
+        ]
+    });
+    const storage = new VaultStorage(adapter);
+    await storage.init();
+
+    const [login, note] = storage.get('passwords_1');
+    assert.deepEqual(login, {
+        id: 10,
+        type: 'login',
+        website: 'github.com',
+        username: 'ada',
+        password: ciphertext,
+        totp: null,
+        fields: {},
+        customFields: [],
+        folder: '',
+        tags: [],
+        favorite: false,
+        history: [],
+        createdAt: '2020-01-01T00:00:00.000Z',
+        updatedAt: '2020-01-01T00:00:00.000Z'
+    });
+    assert.equal(note.type, 'note');
+    assert.equal(note.folder, 'Home');
+    assert.deepEqual(note.tags, ['house']);
+    assert.equal(note.updatedAt, '2021-06-01T00:00:00.000Z');
+    assert.equal(storage.get('passwords_2'), null, 'users without entries get none');
+
+    // Written through to the adapter along with the version reached
+    assert.deepEqual(adapter.values.get('passwords_1'), [login, note]);
+    assert.equal(adapter.values.get('schemaVersion'), SCHEMA_VERSION);
+});
+
+test('data at the current schema is left as it is', async () => {
+    const entries = [{ id: 10, website: 'github.com' }];
+    const storage = new VaultStorage(new MemoryAdapter({ schemaVersion: SCHEMA_VERSION, users: [{ id: 1 }], passwords_1: entries }));
+    await storage.init();
+    assert.equal(storage.get('passwords_1'), entries);
+});
+
+test('data saved by a newer version is refused rather than downgraded', async () => {
+    const storage = new VaultStorage(new MemoryAdapter({ schemaVersion: SCHEMA_VERSION + 1 }));
+    await assert.rejects(storage.init(), /saved by a newer version of SecurePass/);
+});
+
+test('legacy data moves to the new adapter and is migrated there', async () => {
+    const legacy = new MemoryAdapter({ users: [{ id: 1 }], passwords_1: [{ id: 10, website: 'github.com' }] });
+    const adapter = new MemoryAdapter();
+    await new VaultStorage(adapter, legacy).init();
+
+    assert.equal(legacy.values.size, 0);
+    assert.equal(adapter.values.get('passwords_1')[0].type, 'login');
+    assert.equal(adapter.values.get('schemaVersion'), SCHEMA_VERSION);
+});
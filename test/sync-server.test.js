@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT = 'a'.repeat(64);
+const TOKEN = 'b'.repeat(64);
+const vault = { key: 'd3JhcHBlZA==', salt: 'c2FsdA==' };
+const ciphertext = { iv: 'aXY=', data: 'ZGF0YQ==' };
+
+let directory;
+let server;
+let base;
+
+// One API call; resolves with the status and the parsed body
+async function request(method, pathname = '', { token = TOKEN, body } = {}) {
+    const response = await fetch(`${base}/api/accounts/${ACCOUNT}${pathname}`, {
+        method,
+        headers: token ? { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } : {},
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+    // The server reads DATA_DIR when it is loaded
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'securepass-sync-'));
+    process.env.DATA_DIR = directory;
+    const { createServer } = require('../server/sync-server.js');
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    assert.equal((await request('POST', '', { body: { account: { vault } } })).status, 201);
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('an account only opens with the token it was created with', async () => {
+    assert.deepEqual(await request('GET'), { status: 200, body: { account: { vault }, seq: 0 } });
+    assert.deepEqual(await request('GET', '', { token: 'c'.repeat(64) }), { status: 401, body: { error: 'Sync token rejected' } });
+    assert.deepEqual(await request('GET', '', { token: null }), { status: 401, body: { error: 'Missing or malformed sync token' } });
+    assert.equal((await request('GET', '', { token: 'not-hex' })).status, 401);
+    assert.equal((await request('POST', '', { body: { account: { vault } } })).status, 409);
+});
+
+test('a change based on a stale revision is a conflict and is not applied', async () => {
+    const push = changes => request('POST', '/entries', { body: { changes } });
+
+    const created = await push([{ id: 1, baseRevision: 0, deleted: false, data: ciphertext }]);
+    assert.deepEqual(created.body.results, [{ id: 1, status: 'applied', revision: 1 }]);
+
+    const edited = { iv: 'aXYy', data: 'ZWRpdGVk' };
+    assert.deepEqual((await push([{ id: 1, baseRevision: 1, deleted: false, data: edited }])).body.results,
+        [{ id: 1, status: 'applied', revision: 2 }]);
+
+    // Another device still on revision 1
+    const stale = await push([{ id: 1, baseRevision: 1, deleted: true, data: null }]);
+    assert.equal(stale.body.results[0].status, 'conflict');
+    assert.equal(stale.body.results[0].entry.revision, 2);
+    assert.deepEqual(stale.body.results[0].entry.data, edited);
+
+    const rejected = await push([{ id: 2, baseRevision: 0, deleted: false, data: 'plain text' }]);
+    assert.deepEqual(rejected.body.results, [{ id: 2, status: 'rejected', message: 'Entry data must be encrypted' }]);
+
+    const { body } = await request('GET', '/entries?since=1');
+    assert.equal(body.seq, 2);
+    assert.deepEqual(body.entries, [{ id: 1, revision: 2, seq: 2, deleted: false, data: edited }]);
+});
+
+test('a token update retires the old token', async () => {
+    const token = 'd'.repeat(64);
+    assert.equal((await request('PUT', '', { body: { account: { vault }, token } })).status, 200);
+    assert.equal((await request('GET')).status, 401);
+    assert.equal((await request('GET', '', { token })).status, 200);
+
+    assert.equal((await request('PUT', '', { token, body: { account: { vault }, token: TOKEN } })).status, 200);
+});